@@ -4,39 +4,25 @@
 
 import "./js/browser-polyfill.js";
 import { copyTextToClipboard, showBadge } from "./js/clipboard.js";
+import {
+  formatTabs,
+  formatTabsAsHtml,
+  processTabs,
+  attachTabGroups,
+  attachWindowNumbers,
+} from "./js/tabs-formatter.js";
+import { loadFormatSettings } from "./js/format-settings.js";
+import { cleanTabUrls } from "./js/url-cleaner.js";
+import { filterTabsByUrl } from "./js/url-filters.js";
 
-// Listen for tab selection changes (highlighting)
-browser.tabs.onHighlighted.addListener(function (highlightInfo) {
-  // Notify any open popups that tab selection has changed
-  // Add error handling to prevent "Receiving end does not exist" errors
-  try {
-    browser.runtime.sendMessage(
-      {
-        action: "tabsSelected",
-        windowId: highlightInfo.windowId,
-        tabIds: highlightInfo.tabIds,
-      },
-      // Add a response callback that handles potential errors
-      (response) => {
-        const lastError = browser.runtime.lastError;
-        // Just suppress the error - we don't need to do anything if the popup isn't open
-        if (lastError) {
-          console.log(
-            "Tab selection change message not delivered: popup may not be open"
-          );
-        }
-      }
-    );
-  } catch (error) {
-    console.log("Error sending tab selection message:", error);
-  }
-});
+// What the copy all tabs shortcut copied before it followed the settings
+const SHORTCUT_FORMAT_TEMPLATE = "- [{{title}}]({{url}})";
 
 // Listen for messages from other parts of the extension
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle message types
   if (message.action === "copyToClipboard") {
-    copyTextToClipboard(message.text);
+    copyTextToClipboard(message.text, message.html);
     sendResponse({ success: true });
     return true; // Keep the message channel open for async response
   }
@@ -57,29 +43,32 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 browser.commands.onCommand.addListener(async (command) => {
   if (command === "copy_all_tabs") {
     try {
-      // Get all tabs in the current window
-      const tabs = await browser.tabs.query({ currentWindow: true });
+      // Format with the same settings the popup uses. Until a template is
+      // saved, the shortcut keeps copying a Markdown bullet list
+      const settings = await loadFormatSettings({
+        formatTemplate: SHORTCUT_FORMAT_TEMPLATE,
+      });
+
+      // Get all tabs in the current window, or every window when grouping by window
+      const tabs = await browser.tabs.query(
+        settings.groupBy === "window" ? {} : { currentWindow: true }
+      );
 
       if (!tabs || tabs.length === 0) {
         return;
       }
 
-      // Filter out browser-specific URLs from the formatted output
-      const linksText = tabs
-        .filter(
-          (tab) =>
-            tab.url &&
-            !tab.url.startsWith("browser://") &&
-            !tab.url.startsWith("about:") &&
-            !tab.url.startsWith("edge://") &&
-            !tab.url.startsWith("brave://") &&
-            !tab.url.startsWith("opera://") &&
-            !tab.url.startsWith("vivaldi://") &&
-            !tab.url.startsWith("moz-extension://") &&
-            !tab.url.startsWith("chrome-extension://")
-        )
-        .map((tab) => `- [${tab.title}](${tab.url})`)
-        .join("\n");
+      // Leave out browser pages and anything else the URL filters exclude
+      // Windows are numbered before filtering so numbers match the popup
+      const copyableTabs = filterTabsByUrl(
+        await attachWindowNumbers(tabs),
+        settings.urlFilters
+      );
+      const processedTabs = processTabs(
+        cleanTabUrls(await attachTabGroups(copyableTabs), settings.urlCleaning),
+        settings
+      );
+      const linksText = formatTabs(processedTabs, settings);
 
       // If we have no tabs to copy after filtering, show an error
       if (!linksText) {
@@ -87,8 +76,14 @@ browser.commands.onCommand.addListener(async (command) => {
         return;
       }
 
+      // Add an HTML version when rich text output is enabled
+      const html =
+        settings.richTextMode !== "off"
+          ? formatTabsAsHtml(processedTabs, settings)
+          : undefined;
+
       // Copy to clipboard using our helper function
-      copyTextToClipboard(linksText);
+      copyTextToClipboard(linksText, html);
     } catch (error) {
       console.error("Error in command listener:", error);
       showBadge("!", "#e74c3c");
@@ -17,6 +17,7 @@
       // Core APIs
       runtime: chrome.runtime,
       tabs: chrome.tabs,
+      tabGroups: chrome.tabGroups,
       storage: chrome.storage,
       scripting: chrome.scripting,
       commands: chrome.commands,
@@ -33,6 +34,7 @@
       // Core APIs
       runtime: browser.runtime,
       tabs: browser.tabs,
+      tabGroups: browser.tabGroups,
       storage: browser.storage,
       scripting: browser.scripting,
       commands: browser.commands,
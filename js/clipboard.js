@@ -4,23 +4,43 @@
 
 import "./browser-polyfill.js";
 import { saveToStorage, loadFromStorage } from "./utils.js";
+import { isBrowserUrl } from "./url-filters.js";
+
+/**
+ * Writes text, and optionally HTML, using the async Clipboard API
+ * @param {string} text - Plain text to copy
+ * @param {string} [html] - HTML to copy alongside the text
+ * @returns {Promise<void>}
+ */
+export function writeClipboard(text, html) {
+  if (html && typeof ClipboardItem !== "undefined") {
+    return navigator.clipboard.write([
+      new ClipboardItem({
+        "text/html": new Blob([html], { type: "text/html" }),
+        "text/plain": new Blob([text], { type: "text/plain" }),
+      }),
+    ]);
+  }
+
+  return navigator.clipboard.writeText(text);
+}
 
 /**
  * Copy text to clipboard via background script
  * @param {string} text - Text to copy
+ * @param {string} [html] - Optional HTML version written as text/html
  * @returns {Promise<void>}
  */
-export async function copyToClipboard(text) {
+export async function copyToClipboard(text, html) {
   return new Promise((resolve, reject) => {
     try {
-      navigator.clipboard
-        .writeText(text)
+      writeClipboard(text, html)
         .then(() => resolve())
         .catch((err) => {
           console.log("Clipboard API failed, using fallback method:", err);
           // Fallback to message passing if Clipboard API fails
           browser.runtime.sendMessage(
-            { action: "copyToClipboard", text },
+            { action: "copyToClipboard", text, html },
             (response) => {
               if (browser.runtime.lastError) {
                 reject(browser.runtime.lastError);
@@ -35,7 +55,7 @@ export async function copyToClipboard(text) {
     } catch (error) {
       // Fallback if navigator.clipboard is not available
       browser.runtime.sendMessage(
-        { action: "copyToClipboard", text },
+        { action: "copyToClipboard", text, html },
         (response) => {
           if (browser.runtime.lastError) {
             reject(browser.runtime.lastError);
@@ -53,22 +73,16 @@ export async function copyToClipboard(text) {
 /**
  * Function to copy text to clipboard (for background script)
  * @param {string} text - Text to copy
+ * @param {string} [html] - Optional HTML version written as text/html
  */
-export function copyTextToClipboard(text) {
+export function copyTextToClipboard(text, html) {
   // Store text in local storage for retrieval
-  saveToStorage({ clipboard_text: text })
+  saveToStorage({ clipboard_text: text, clipboard_html: html || "" })
     .then(() => {
       // Find a non-browser:// tab to execute our script in
       browser.tabs.query({ currentWindow: true }, function (tabs) {
-        // Filter out browser-specific URLs
-        const allowedTabs = tabs.filter(
-          (tab) =>
-            tab.url &&
-            !tab.url.startsWith("browser://") &&
-            !tab.url.startsWith("about:") &&
-            !tab.url.startsWith("moz-extension://") &&
-            !tab.url.startsWith("chrome-extension://")
-        );
+        // Scripts can't run on browser pages
+        const allowedTabs = tabs.filter((tab) => !isBrowserUrl(tab.url));
 
         if (allowedTabs.length === 0) {
           // No usable tabs found, show error
@@ -136,7 +150,7 @@ export function executeClipboardCopy() {
     const storage = window.browser?.storage?.local || chrome.storage.local;
     const runtime = window.browser?.runtime || chrome.runtime;
 
-    storage.get(["clipboard_text"], function (result) {
+    storage.get(["clipboard_text", "clipboard_html"], function (result) {
       const error = runtime.lastError;
       if (error) {
         console.error("Error accessing storage:", error);
@@ -144,6 +158,17 @@ export function executeClipboardCopy() {
       }
 
       if (result.clipboard_text) {
+        // Supply both formats from the copy event when HTML was provided
+        const html = result.clipboard_html;
+        const onCopy = (event) => {
+          event.clipboardData.setData("text/plain", result.clipboard_text);
+          event.clipboardData.setData("text/html", html);
+          event.preventDefault();
+        };
+        if (html) {
+          document.addEventListener("copy", onCopy, { once: true });
+        }
+
         // Create a temporary textarea element
         const textarea = document.createElement("textarea");
         textarea.value = result.clipboard_text;
@@ -157,9 +182,10 @@ export function executeClipboardCopy() {
 
         // Clean up
         document.body.removeChild(textarea);
+        document.removeEventListener("copy", onCopy);
 
         // Clear the stored text
-        storage.remove(["clipboard_text"], function () {
+        storage.remove(["clipboard_text", "clipboard_html"], function () {
           if (runtime.lastError) {
             console.error("Error removing clipboard text:", runtime.lastError);
           }
@@ -2,6 +2,8 @@
  * core.js - Core functionality and shared utilities
  */
 
+import { writeClipboard } from "./clipboard.js";
+
 // DOM element references
 export const elements = {
   includeTitlesToggle: document.getElementById("includeTitles"),
@@ -90,15 +92,26 @@ export function extractDomain(url) {
 /**
  * Copies text to clipboard
  * @param {string} text - Text to copy to clipboard
+ * @param {string} [html] - Optional HTML version written as text/html
  * @returns {Promise<boolean>} - Whether copy was successful
  */
-export async function copyToClipboard(text) {
+export async function copyToClipboard(text, html) {
   try {
     // Try using the Clipboard API first
-    await navigator.clipboard.writeText(text);
+    await writeClipboard(text, html);
     return true;
   } catch (err) {
     try {
+      // Supply the HTML version from the copy event if there is one
+      const onCopy = (event) => {
+        event.clipboardData.setData("text/plain", text);
+        event.clipboardData.setData("text/html", html);
+        event.preventDefault();
+      };
+      if (html) {
+        document.addEventListener("copy", onCopy, { once: true });
+      }
+
       // Fallback: Create temporary textarea
       const textArea = document.createElement("textarea");
       textArea.value = text;
@@ -112,6 +125,7 @@ export async function copyToClipboard(text) {
       // Execute copy command
       document.execCommand("copy");
       textArea.remove();
+      document.removeEventListener("copy", onCopy);
       return true;
     } catch (err2) {
       console.error("Failed to copy text:", err2);
@@ -137,9 +137,9 @@ document.addEventListener("DOMContentLoaded", function () {
   }
 
   // Also add event handlers for the toggle switches that affect formatting
-  const includeTitlesToggle = document.getElementById("includeTitles");
-  if (includeTitlesToggle) {
-    includeTitlesToggle.addEventListener("change", function () {
+  const linkContentSelect = document.getElementById("linkContent");
+  if (linkContentSelect) {
+    linkContentSelect.addEventListener("change", function () {
       if (typeof window.updateFormatExamples === "function") {
         window.updateFormatExamples();
       }
@@ -3,6 +3,9 @@
  */
 
 import { loadFromStorage, saveToStorage, generateUniqueId } from "./utils.js";
+import { applyTitleRules } from "./title-rules.js";
+import { getUrlDedupKey, removeDuplicateTabs } from "./url-cleaner.js";
+import { filterTabsByUrl } from "./url-filters.js";
 
 /**
  * @typedef {Object} Tab
@@ -72,13 +75,50 @@ function generateFolderId() {
   return generateUniqueId("folder_");
 }
 
+/**
+ * Converts browser tabs to compact tabs for storing in a folder
+ * @param {Array} tabs - Browser tabs
+ * @param {Object} [titleRules] - Title cleanup settings, or null to keep titles as they are
+ * @returns {Tab[]}
+ */
+function toFolderTabs(tabs, titleRules) {
+  return tabs.map((tab) => ({
+    t: applyTitleRules(tab.title || "", tab.url || "", titleRules),
+    u: tab.url || "",
+    f: tab.favIconUrl || "",
+  }));
+}
+
+/**
+ * Drops tabs the URL filters don't allow, then duplicate URLs if the
+ * dedupe option is on
+ * Duplicates are spotted on cleaned URLs, the stored URLs are cleaned when
+ * a folder is copied or shared.
+ * @param {Array} tabs - Browser tabs
+ * @param {Object} options - Folder options, see createFolder
+ * @returns {Array} - Tabs that may be saved
+ */
+export function getSavableTabs(tabs, options = {}) {
+  const allowedTabs = options.urlFilters
+    ? filterTabsByUrl(tabs, options.urlFilters)
+    : tabs;
+  return options.dedupeTabs
+    ? removeDuplicateTabs(allowedTabs, options.urlCleaning)
+    : allowedTabs;
+}
+
 /**
  * Creates a new folder
  * @param {string} name - Folder name
  * @param {Tab[]} tabs - Initial tabs to add
+ * @param {Object} [options] - Folder options
+ * @param {Object} [options.titleRules] - Title cleanup settings for stored titles
+ * @param {boolean} [options.dedupeTabs] - Whether to skip tabs with duplicate URLs
+ * @param {Object} [options.urlCleaning] - Cleaning settings used to spot duplicate URLs
+ * @param {Object} [options.urlFilters] - URL filter settings, tabs they exclude aren't saved
  * @returns {Folder}
  */
-export async function createFolder(name, tabs = []) {
+export async function createFolder(name, tabs = [], options = {}) {
   // Load folders first to ensure we have the latest data
   await loadFolders();
 
@@ -86,11 +126,7 @@ export async function createFolder(name, tabs = []) {
     id: generateFolderId(),
     name,
     createdAt: new Date().toISOString(),
-    tabs: tabs.map((tab) => ({
-      t: tab.title || "",
-      u: tab.url || "",
-      f: tab.favIconUrl || "",
-    })),
+    tabs: toFolderTabs(getSavableTabs(tabs, options), options.titleRules),
   };
 
   folders.push(folder);
@@ -118,22 +154,36 @@ export async function updateFolder(folderId, updates) {
 
 /**
  * Adds tabs to an existing folder
+ * With dedupe on, tabs whose URL is already in the folder are skipped.
  * @param {string} folderId - ID of folder to add tabs to
  * @param {Tab[]} tabs - Tabs to add
+ * @param {Object} [options] - Folder options
+ * @param {Object} [options.titleRules] - Title cleanup settings for stored titles
+ * @param {boolean} [options.dedupeTabs] - Whether to skip tabs with duplicate URLs
+ * @param {Object} [options.urlCleaning] - Cleaning settings used to spot duplicate URLs
+ * @param {Object} [options.urlFilters] - URL filter settings, tabs they exclude aren't saved
  * @returns {Promise<Folder|null>}
  */
-export async function addTabsToFolder(folderId, tabs) {
+export async function addTabsToFolder(folderId, tabs, options = {}) {
   // Load folders first to ensure we have the latest data
   await loadFolders();
 
   const index = folders.findIndex((f) => f.id === folderId);
   if (index === -1) return null;
 
-  const newTabs = tabs.map((tab) => ({
-    t: tab.title || "",
-    u: tab.url || "",
-    f: tab.favIconUrl || "",
-  }));
+  let savableTabs = getSavableTabs(tabs, options);
+  if (options.dedupeTabs) {
+    const savedUrls = new Set(
+      folders[index].tabs.map((tab) =>
+        getUrlDedupKey(tab.u, options.urlCleaning)
+      )
+    );
+    savableTabs = savableTabs.filter(
+      (tab) =>
+        !savedUrls.has(getUrlDedupKey(tab.url || "", options.urlCleaning))
+    );
+  }
+  const newTabs = toFolderTabs(savableTabs, options.titleRules);
 
   folders[index].tabs = [...folders[index].tabs, ...newTabs];
   await saveFolders();
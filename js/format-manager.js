@@ -12,11 +12,21 @@ import {
   generateUniqueId,
   handleDropdownChange,
   createDeleteButton,
+  getOptionTemplate,
 } from "./utils.js";
+import { validateTemplate } from "./tabs-formatter.js";
+
+// Version written to exported format library files
+export const FORMAT_LIBRARY_VERSION = 1;
 
 // Store custom formats
 let customMarkdownFormats = [];
 let customPlainTextFormats = [];
+// IDs of the custom formats chosen as default, keyed by format type
+let defaultFormatIds = {};
+// IDs of the selected custom formats, so formats sharing a pattern can be
+// told apart when the popup reopens
+let selectedFormatIds = {};
 
 // DOM element references
 let formatTemplateDropdown;
@@ -68,6 +78,7 @@ function setupFormatDropdowns() {
         formatTemplateInput,
         "formatTemplate"
       );
+      saveSelectedFormatId("markdown");
     });
   }
 
@@ -83,10 +94,25 @@ function setupFormatDropdowns() {
         plainTextTemplateInput,
         "plainTextTemplate"
       );
+      saveSelectedFormatId("plaintext");
     });
   }
 }
 
+/**
+ * Remembers which saved format is selected in a dropdown
+ * @param {string} type - Format type (markdown or plaintext)
+ */
+function saveSelectedFormatId(type) {
+  const { dropdown } = getFormatTypeState(type);
+  const option = dropdown.options[dropdown.selectedIndex];
+  selectedFormatIds = {
+    ...selectedFormatIds,
+    [type]: option?.dataset.formatId || null,
+  };
+  saveToStorage({ selectedFormatIds });
+}
+
 /**
  * Loads custom formats from storage
  * @returns {Promise<void>}
@@ -98,18 +124,22 @@ export async function loadCustomFormats() {
       "plainTextFormats",
       "formatTemplate",
       "plainTextTemplate",
+      "defaultFormatIds",
+      "selectedFormatIds",
     ];
 
     const result = await loadFromStorage(keys);
 
     customMarkdownFormats = result.markdownFormats || [];
     customPlainTextFormats = result.plainTextFormats || [];
+    defaultFormatIds = result.defaultFormatIds || {};
+    selectedFormatIds = result.selectedFormatIds || {};
 
     // Get saved templates or use defaults
     const savedMarkdownTemplate =
-      result.formatTemplate || "[{{title}}]({{url}})";
+      result.formatTemplate || getDefaultTemplate("markdown");
     const savedPlainTextTemplate =
-      result.plainTextTemplate || "{{title}} - {{url}}";
+      result.plainTextTemplate || getDefaultTemplate("plaintext");
 
     console.log("Loaded formats and templates:", {
       markdownFormats: customMarkdownFormats,
@@ -144,110 +174,142 @@ async function saveCustomFormats(key, formats) {
   return saveToStorage({ [key]: formats });
 }
 
+/**
+ * Gets the state and DOM elements for a format type
+ * @param {string} type - Format type (markdown or plaintext)
+ * @returns {Object} - Formats, storage key, dropdown, input and built-in template
+ */
+function getFormatTypeState(type) {
+  return type === "markdown"
+    ? {
+        formats: customMarkdownFormats,
+        storageKey: "markdownFormats",
+        dropdown: formatTemplateDropdown,
+        input: formatTemplateInput,
+        builtInTemplate: "[{{title}}]({{url}})",
+      }
+    : {
+        formats: customPlainTextFormats,
+        storageKey: "plainTextFormats",
+        dropdown: plainTextTemplateDropdown,
+        input: plainTextTemplateInput,
+        builtInTemplate: "{{title}} - {{url}}",
+      };
+}
+
+/**
+ * Gets the format type a dropdown belongs to
+ * @param {HTMLSelectElement} dropdown - Format dropdown
+ * @returns {string} - "markdown" or "plaintext"
+ */
+function getDropdownType(dropdown) {
+  return dropdown === formatTemplateDropdown ? "markdown" : "plaintext";
+}
+
 /**
  * Updates a format dropdown with custom formats
+ * Saved formats are keyed by ID, so two formats with the same pattern
+ * stay separate options.
  * @param {HTMLSelectElement} dropdown - Dropdown to update
  * @param {Array} formats - Custom formats to add
- * @param {string} savedTemplate - The saved template value to select
+ * @param {string} [savedTemplate] - Stored template to select on load,
+ *   otherwise the current selection is kept
  */
 function updateFormatDropdown(dropdown, formats, savedTemplate) {
   if (!dropdown) return;
 
-  // Remember the currently selected value
-  const currentValue = savedTemplate || dropdown.value;
+  const type = getDropdownType(dropdown);
+  const input =
+    dropdown === formatTemplateDropdown
+      ? formatTemplateInput
+      : plainTextTemplateInput;
+
+  // Remember the currently selected template and option
+  const currentValue =
+    savedTemplate ||
+    (dropdown.value === "custom"
+      ? input.value
+      : getOptionTemplate(dropdown.options[dropdown.selectedIndex]));
+  const preferredIds = savedTemplate
+    ? [selectedFormatIds[type], defaultFormatIds[type]]
+    : [dropdown.value];
   console.log(`Updating dropdown with saved template: ${currentValue}`);
 
   // Remove existing custom formats (keep default options)
-  // Only remove if it's the markdown dropdown
-  if (dropdown === formatTemplateDropdown) {
-    const defaultCount =
-      Array.from(dropdown.options).findIndex((opt) => opt.value === "custom") +
-      1;
-    // Make sure defaultCount is valid before removing
-    if (defaultCount > 0) {
-      while (dropdown.options.length > defaultCount) {
-        dropdown.remove(defaultCount);
-      }
+  const defaultCount =
+    Array.from(dropdown.options).findIndex((opt) => opt.value === "custom") + 1;
+  // Make sure defaultCount is valid before removing
+  if (defaultCount > 0) {
+    while (dropdown.options.length > defaultCount) {
+      dropdown.remove(defaultCount);
     }
   }
 
-  // Only add custom formats to the markdown dropdown
-  if (dropdown === formatTemplateDropdown) {
-    formats.forEach((format) => {
-      const option = createElement("option", {
-        value: format.pattern,
-        textContent: format.name,
-        dataset: {
-          custom: "true",
-          formatId: format.id,
-        },
-      });
-      dropdown.add(option);
+  // Add custom formats after the "Custom format..." option
+  formats.forEach((format) => {
+    const option = createElement("option", {
+      value: format.id,
+      textContent: format.name,
+      dataset: {
+        custom: "true",
+        formatId: format.id,
+        pattern: format.pattern,
+      },
     });
-  }
+    dropdown.add(option);
+  });
+
+  // Restore the selected format, a stored template must still match it
+  const options = Array.from(dropdown.options);
+  const selected =
+    options.find(
+      (opt) =>
+        opt.value !== "custom" &&
+        preferredIds.includes(opt.value) &&
+        (!savedTemplate || getOptionTemplate(opt) === currentValue)
+    ) ||
+    options.find(
+      (opt) => opt.value !== "custom" && getOptionTemplate(opt) === currentValue
+    );
 
-  // Try to restore the saved template selection
   let found = false;
-  for (let i = 0; i < dropdown.options.length; i++) {
-    if (dropdown.options[i].value === currentValue) {
-      dropdown.selectedIndex = i;
-      found = true;
-      console.log(`Found saved template at index ${i}`);
-      break;
-    }
+  if (selected) {
+    dropdown.selectedIndex = selected.index;
+    found = true;
+    console.log(`Found saved template at index ${selected.index}`);
   }
 
   // If saved template wasn't found in dropdown options
-  if (!found) {
-    if (dropdown === formatTemplateDropdown && currentValue !== "custom") {
-      // For markdown, we can use the custom option
-      for (let i = 0; i < dropdown.options.length; i++) {
-        if (dropdown.options[i].value === "custom") {
-          dropdown.selectedIndex = i;
-          const input = formatTemplateInput;
-          input.value = currentValue;
-          input.classList.add("show");
-          console.log(`Using custom option with value: ${currentValue}`);
-          found = true;
-          break;
-        }
+  if (!found && currentValue !== "custom") {
+    // Fall back to the custom option holding the saved value
+    for (let i = 0; i < dropdown.options.length; i++) {
+      if (dropdown.options[i].value === "custom") {
+        dropdown.selectedIndex = i;
+        console.log(`Using custom option with value: ${currentValue}`);
+        found = true;
+        break;
       }
     }
-
-    // If still not found or not markdown dropdown, default to first option
-    if (!found) {
-      dropdown.selectedIndex = 0;
-      console.log(`Defaulting to first option: ${dropdown.options[0].value}`);
-    }
   }
 
-  // Add delete buttons for custom formats (only needed for markdown dropdown)
-  if (dropdown === formatTemplateDropdown) {
-    addDeleteButtonsToDropdown(dropdown);
+  // If still not found, default to first option
+  if (!found) {
+    dropdown.selectedIndex = 0;
+    console.log(`Defaulting to first option: ${dropdown.options[0].value}`);
   }
 
-  // Update input visibility and value based on dropdown selection
-  const input =
-    dropdown === formatTemplateDropdown
-      ? formatTemplateInput
-      : plainTextTemplateInput;
+  // Add delete buttons for custom formats
+  addDeleteButtonsToDropdown(dropdown);
 
-  if (dropdown === formatTemplateDropdown && dropdown.value === "custom") {
+  // Update input visibility and value based on dropdown selection
+  if (dropdown.value === "custom") {
     input.value = currentValue; // Make sure the input has the saved value
     input.classList.add("show");
   } else {
     // Always update input value if not custom
-    input.value = dropdown.value;
+    input.value = getOptionTemplate(dropdown.options[dropdown.selectedIndex]);
     input.classList.remove("show");
   }
-
-  // Update the input field with the current template
-  if (dropdown === formatTemplateDropdown) {
-    formatTemplateInput.value =
-      dropdown.value === "custom" ? currentValue : dropdown.value;
-  } else {
-    plainTextTemplateInput.value = dropdown.value;
-  }
 }
 
 /**
@@ -255,15 +317,12 @@ function updateFormatDropdown(dropdown, formats, savedTemplate) {
  * @param {HTMLSelectElement} dropdown - Dropdown element
  */
 function addDeleteButtonsToDropdown(dropdown) {
-  // Only proceed if it's the markdown dropdown
-  if (dropdown !== formatTemplateDropdown) {
-    return;
-  }
-
   // Get parent container for dropdown
   const container = dropdown.parentNode;
   if (!container) return;
 
+  const formatType = getDropdownType(dropdown);
+
   // Add delete button container if it doesn't exist
   let deleteContainer = container.querySelector(".format-delete-container");
   if (!deleteContainer) {
@@ -281,37 +340,16 @@ function addDeleteButtonsToDropdown(dropdown) {
     );
     container.style.position = "relative";
     container.appendChild(deleteContainer);
-  } else {
-    // Clear existing buttons
-    deleteContainer.innerHTML = "";
-  }
-
-  // Determine format type - should always be markdown here
-  const formatType = "markdown";
-
-  // Add delete button for the currently selected option
-  const selectedOption = dropdown.options[dropdown.selectedIndex];
-  if (selectedOption && selectedOption.dataset.custom === "true") {
-    const formatId = selectedOption.dataset.formatId;
-    const deleteBtn = createDeleteButton(
-      formatType,
-      formatId,
-      selectedOption.textContent
-    );
-    deleteContainer.appendChild(deleteBtn);
-    deleteContainer.style.display = "block";
   }
 
-  // Show/hide delete button on dropdown change
-  dropdown.addEventListener("change", () => {
+  // Show a delete button when a custom format is selected
+  const showDeleteButton = () => {
     deleteContainer.innerHTML = "";
     const option = dropdown.options[dropdown.selectedIndex];
     if (option && option.dataset.custom === "true") {
-      // Use the current toggle state here too - still should be markdown
-      const formatId = option.dataset.formatId;
       const deleteBtn = createDeleteButton(
-        "markdown", // Explicitly markdown
-        formatId,
+        formatType,
+        option.dataset.formatId,
         option.textContent
       );
       deleteContainer.appendChild(deleteBtn);
@@ -319,7 +357,15 @@ function addDeleteButtonsToDropdown(dropdown) {
     } else {
       deleteContainer.style.display = "none";
     }
-  });
+  };
+
+  showDeleteButton();
+
+  // Only listen once, the dropdown is rebuilt every time formats change
+  if (!dropdown.dataset.deleteButtons) {
+    dropdown.dataset.deleteButtons = "true";
+    dropdown.addEventListener("change", showDeleteButton);
+  }
 }
 
 /**
@@ -330,63 +376,330 @@ function addDeleteButtonsToDropdown(dropdown) {
  * @returns {Promise<string>} - Format ID
  */
 export async function addFormat(type, name, pattern) {
-  // Prevent adding plaintext formats
-  if (type === "plaintext") {
-    console.warn("Adding custom plaintext formats is not supported.");
-    showSnackbar("Cannot add custom plain text formats.");
-    return;
-  }
-
   try {
     console.log(`Adding format: ${type}, ${name}, ${pattern}`);
 
-    // Should only be markdown formats now
-    let formats = [...customMarkdownFormats];
-    const storageKey = "markdownFormats";
+    // Formats are identified by ID, so the same pattern can be saved twice
+    const formatId = generateUniqueId("fmt_");
+    const formats = [
+      ...getFormatTypeState(type).formats,
+      { id: formatId, name, pattern },
+    ];
+    console.log(`Added new format with ID: ${formatId}`);
 
-    // Check if format exists by pattern
-    const existingIndex = formats.findIndex((f) => f.pattern === pattern);
-    let formatId;
+    await commitFormats(type, formats);
 
-    if (existingIndex >= 0) {
-      // Update existing format
-      formats[existingIndex].name = name;
-      formatId = formats[existingIndex].id;
-      console.log(`Updated existing format at index ${existingIndex}`);
-    } else {
-      // Add new format with a unique ID
-      formatId = generateUniqueId("fmt_");
-      formats.push({ id: formatId, name, pattern });
-      console.log(`Added new format with ID: ${formatId}`);
-    }
+    // Select the newly added format
+    selectFormatOption(type, formatId);
 
-    // Update state and storage
+    return formatId;
+  } catch (error) {
+    console.error("Error adding format:", error);
+    throw error;
+  }
+}
+
+/**
+ * Stores a changed format list and refreshes its dropdown
+ * @param {string} type - Format type (markdown or plaintext)
+ * @param {Array} formats - Updated formats, in library order
+ * @returns {Promise<void>}
+ */
+async function commitFormats(type, formats) {
+  const { storageKey, dropdown } = getFormatTypeState(type);
+
+  if (type === "markdown") {
     customMarkdownFormats = formats;
-    await saveCustomFormats(storageKey, formats);
+  } else {
+    customPlainTextFormats = formats;
+  }
 
-    // Update dropdown (always markdown dropdown)
-    const dropdown = formatTemplateDropdown;
-    const input = formatTemplateInput;
+  await saveCustomFormats(storageKey, formats);
+  updateFormatDropdown(dropdown, formats);
+}
 
-    updateFormatDropdown(dropdown, formats);
+/**
+ * Selects an option in a format dropdown and applies its template
+ * @param {string} type - Format type (markdown or plaintext)
+ * @param {string} value - Saved format ID or built-in pattern
+ */
+function selectFormatOption(type, value) {
+  const { dropdown, input } = getFormatTypeState(type);
+  if (!dropdown) return;
 
-    // Select the newly added format
-    for (let i = 0; i < dropdown.options.length; i++) {
-      if (dropdown.options[i].value === pattern) {
-        dropdown.selectedIndex = i;
-        input.value = pattern;
-        input.classList.remove("show");
-        dropdown.dispatchEvent(new Event("change"));
-        console.log(`Selected format at index ${i}`);
-        break;
+  dropdown.value = value;
+  input.value = getOptionTemplate(dropdown.options[dropdown.selectedIndex]);
+  input.classList.remove("show");
+  dropdown.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Updates the name and/or pattern of a custom format
+ * @param {string} type - Format type (markdown or plaintext)
+ * @param {string} formatId - ID of format to update
+ * @param {Object} changes - New values
+ * @param {string} [changes.name] - New format name
+ * @param {string} [changes.pattern] - New format pattern
+ * @returns {Promise<boolean>} - Whether the format was found
+ */
+export async function updateFormat(type, formatId, changes) {
+  const { formats: currentFormats, dropdown } = getFormatTypeState(type);
+  const index = currentFormats.findIndex((f) => f.id === formatId);
+  if (index === -1) {
+    console.error(`Format not found: ${formatId}`);
+    return false;
+  }
+
+  const previous = currentFormats[index];
+  const updated = {
+    ...previous,
+    name: changes.name?.trim() || previous.name,
+    pattern: changes.pattern?.trim() || previous.pattern,
+  };
+  const wasSelected = dropdown?.value === formatId;
+
+  const formats = [...currentFormats];
+  formats[index] = updated;
+  await commitFormats(type, formats);
+  console.log(`Updated format ${formatId}:`, updated);
+
+  // Keep using the edited format if it was the active one
+  if (wasSelected && updated.pattern !== previous.pattern) {
+    selectFormatOption(type, formatId);
+  }
+
+  return true;
+}
+
+/**
+ * Duplicates a custom format, placing the copy right after the original
+ * @param {string} type - Format type (markdown or plaintext)
+ * @param {string} formatId - ID of format to duplicate
+ * @returns {Promise<string|undefined>} - ID of the copy
+ */
+export async function duplicateFormat(type, formatId) {
+  const { formats: currentFormats } = getFormatTypeState(type);
+  const index = currentFormats.findIndex((f) => f.id === formatId);
+  if (index === -1) {
+    console.error(`Format not found: ${formatId}`);
+    return;
+  }
+
+  const copy = {
+    ...currentFormats[index],
+    id: generateUniqueId("fmt_"),
+    name: `${currentFormats[index].name} (copy)`,
+  };
+
+  const formats = [...currentFormats];
+  formats.splice(index + 1, 0, copy);
+  await commitFormats(type, formats);
+  console.log(`Duplicated format ${formatId} as ${copy.id}`);
+
+  return copy.id;
+}
+
+/**
+ * Moves a custom format to a new position in the library
+ * The dropdown lists custom formats in library order.
+ * @param {string} type - Format type (markdown or plaintext)
+ * @param {string} formatId - ID of format to move
+ * @param {number} toIndex - New position
+ * @returns {Promise<void>}
+ */
+export async function moveFormat(type, formatId, toIndex) {
+  const formats = [...getFormatTypeState(type).formats];
+  const fromIndex = formats.findIndex((f) => f.id === formatId);
+  if (fromIndex === -1 || fromIndex === toIndex) return;
+
+  const [format] = formats.splice(fromIndex, 1);
+  formats.splice(Math.max(0, Math.min(toIndex, formats.length)), 0, format);
+  await commitFormats(type, formats);
+  console.log(`Moved format ${formatId} from ${fromIndex} to ${toIndex}`);
+}
+
+/**
+ * Makes a custom format the default for its type and selects it
+ * Passing no ID goes back to the built-in default.
+ * @param {string} type - Format type (markdown or plaintext)
+ * @param {string|null} formatId - ID of format to use as default
+ * @returns {Promise<void>}
+ */
+export async function setDefaultFormat(type, formatId) {
+  defaultFormatIds = { ...defaultFormatIds, [type]: formatId || null };
+  await saveToStorage({ defaultFormatIds });
+
+  selectFormatOption(type, getDefaultOptionValue(type));
+  console.log(`Default ${type} format set to:`, formatId);
+}
+
+/**
+ * Gets the ID of the default custom format for a type
+ * @param {string} type - Format type (markdown or plaintext)
+ * @returns {string|null} - Format ID, or null for the built-in default
+ */
+export function getDefaultFormatId(type) {
+  return defaultFormatIds[type] || null;
+}
+
+/**
+ * Gets the template used when nothing else is selected
+ * @param {string} type - Format type (markdown or plaintext)
+ * @returns {string} - Default custom format pattern or the built-in template
+ */
+export function getDefaultTemplate(type) {
+  const { formats, builtInTemplate } = getFormatTypeState(type);
+  const defaultFormat = formats.find((f) => f.id === defaultFormatIds[type]);
+  return defaultFormat ? defaultFormat.pattern : builtInTemplate;
+}
+
+/**
+ * Gets the dropdown option to select when nothing else is selected
+ * @param {string} type - Format type (markdown or plaintext)
+ * @returns {string} - Default custom format ID or the built-in template
+ */
+function getDefaultOptionValue(type) {
+  const { formats, builtInTemplate } = getFormatTypeState(type);
+  return formats.some((f) => f.id === defaultFormatIds[type])
+    ? defaultFormatIds[type]
+    : builtInTemplate;
+}
+
+/**
+ * Builds a shareable copy of the custom format library
+ * IDs are left out so imported formats get fresh ones.
+ * @returns {Object} - Versioned library ready for JSON.stringify
+ */
+export function exportFormatLibrary() {
+  const toEntry = ({ name, pattern }) => ({ name, pattern });
+
+  return {
+    type: "kaminari-formats",
+    version: FORMAT_LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    markdown: customMarkdownFormats.map(toEntry),
+    plaintext: customPlainTextFormats.map(toEntry),
+  };
+}
+
+/**
+ * Parses and validates an exported format library
+ * @param {string} text - Exported JSON
+ * @returns {{markdown: Array, plaintext: Array}} - Formats found in the text
+ * @throws {Error} - If the text isn't a format library this version can read
+ */
+export function parseFormatLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Not valid JSON");
+  }
+
+  if (!data || data.type !== "kaminari-formats") {
+    throw new Error("Not a Kaminari format library");
+  }
+  if (
+    !Number.isInteger(data.version) ||
+    data.version > FORMAT_LIBRARY_VERSION
+  ) {
+    throw new Error(
+      `Unsupported format library version: ${data.version}. Update Kaminari and try again.`
+    );
+  }
+
+  // Drop entries without a usable name or pattern
+  const readEntries = (entries) =>
+    (Array.isArray(entries) ? entries : [])
+      .filter(
+        (entry) =>
+          entry &&
+          typeof entry.name === "string" &&
+          typeof entry.pattern === "string" &&
+          entry.name.trim() &&
+          entry.pattern.trim()
+      )
+      .map((entry) => ({
+        name: entry.name.trim(),
+        pattern: entry.pattern.trim(),
+      }));
+
+  return {
+    markdown: readEntries(data.markdown),
+    plaintext: readEntries(data.plaintext),
+  };
+}
+
+/**
+ * Works out what importing a library would change, without saving anything
+ * A format is a duplicate when its pattern is already in the library (merge
+ * mode) or appears earlier in the same file.
+ * @param {{markdown: Array, plaintext: Array}} library - Parsed library
+ * @param {string} mode - "merge" or "replace"
+ * @returns {Object} - Per type: formats to add, duplicates skipped and
+ * the number of existing formats that would be removed
+ */
+export function previewFormatImport(library, mode) {
+  const preview = {};
+
+  ["markdown", "plaintext"].forEach((type) => {
+    const existing = mode === "replace" ? [] : getFormatTypeState(type).formats;
+    const seenPatterns = new Set(existing.map((f) => f.pattern));
+    const added = [];
+    const duplicates = [];
+
+    library[type].forEach((entry) => {
+      if (seenPatterns.has(entry.pattern)) {
+        duplicates.push(entry);
+      } else {
+        seenPatterns.add(entry.pattern);
+        added.push(entry);
       }
+    });
+
+    preview[type] = {
+      added,
+      duplicates,
+      removed: mode === "replace" ? getFormatTypeState(type).formats.length : 0,
+    };
+  });
+
+  return preview;
+}
+
+/**
+ * Imports a parsed format library
+ * @param {{markdown: Array, plaintext: Array}} library - Parsed library
+ * @param {string} mode - "merge" keeps existing formats, "replace" drops them
+ * @returns {Promise<number>} - Number of formats added
+ */
+export async function importFormatLibrary(library, mode) {
+  const preview = previewFormatImport(library, mode);
+  let addedCount = 0;
+
+  for (const type of ["markdown", "plaintext"]) {
+    const { added, removed } = preview[type];
+    if (added.length === 0 && removed === 0) continue;
+
+    const existing = mode === "replace" ? [] : getFormatTypeState(type).formats;
+    const imported = added.map((entry) => ({
+      id: generateUniqueId("fmt_"),
+      name: entry.name,
+      pattern: entry.pattern,
+    }));
+
+    // Replaced formats can't stay the default
+    if (mode === "replace" && defaultFormatIds[type]) {
+      defaultFormatIds = { ...defaultFormatIds, [type]: null };
+      await saveToStorage({ defaultFormatIds });
     }
 
-    return formatId;
-  } catch (error) {
-    console.error("Error adding format:", error);
-    throw error;
+    await commitFormats(type, [...existing, ...imported]);
+    addedCount += imported.length;
   }
+
+  console.log(`Imported ${addedCount} formats (${mode})`);
+  return addedCount;
 }
 
 /**
@@ -399,12 +712,8 @@ export async function removeFormat(type, formatId) {
     console.log(`Removing format: ${type}, ${formatId}`);
 
     // Get the appropriate format list
-    let formats =
-      type === "markdown"
-        ? [...customMarkdownFormats]
-        : [...customPlainTextFormats];
-    const storageKey =
-      type === "markdown" ? "markdownFormats" : "plainTextFormats";
+    const { formats: currentFormats, dropdown } = getFormatTypeState(type);
+    let formats = [...currentFormats];
 
     // Find format by ID
     const index = formats.findIndex((f) => f.id === formatId);
@@ -416,40 +725,27 @@ export async function removeFormat(type, formatId) {
 
     // Get format info for notification
     const formatName = formats[index].name;
-    const formatPattern = formats[index].pattern;
-
-    // Get UI elements
-    const dropdown =
-      type === "markdown" ? formatTemplateDropdown : plainTextTemplateDropdown;
-    const input =
-      type === "markdown" ? formatTemplateInput : plainTextTemplateInput;
 
     // Check if this format is currently selected
-    const wasSelected = dropdown.value === formatPattern;
+    const wasSelected = dropdown.value === formatId;
 
     // Remove the format
     formats.splice(index, 1);
     console.log(`Removed format at index ${index}`);
 
-    // Update state and storage
-    if (type === "markdown") {
-      customMarkdownFormats = formats;
-    } else {
-      customPlainTextFormats = formats;
+    // A removed format can't stay the default
+    if (defaultFormatIds[type] === formatId) {
+      defaultFormatIds = { ...defaultFormatIds, [type]: null };
+      await saveToStorage({ defaultFormatIds });
     }
 
-    await saveCustomFormats(storageKey, formats);
-
-    // Update dropdown
-    updateFormatDropdown(dropdown, formats);
+    // Update state, storage and dropdown
+    await commitFormats(type, formats);
 
     // Reset to default if the removed format was selected
     if (wasSelected) {
-      const defaultValue =
-        type === "markdown" ? "[{{title}}]({{url}})" : "{{title}} - {{url}}";
-      dropdown.value = defaultValue;
-      input.value = defaultValue;
-      dropdown.dispatchEvent(new Event("change"));
+      const defaultValue = getDefaultOptionValue(type);
+      selectFormatOption(type, defaultValue);
       console.log(`Reset to default format: ${defaultValue}`);
     }
 
@@ -516,16 +812,17 @@ export async function handleAddFormat(
   const name = nameInput.value.trim();
   const pattern = patternInput.value.trim();
 
-  // Prevent adding plaintext formats here too
-  if (type === "plaintext") {
-    console.warn("Attempted to submit plaintext format via form.");
-    showSnackbar("Cannot add custom plain text formats.");
-    hideAddFormatModal(modal, form);
+  if (!name || !pattern) {
+    showSnackbar("Please enter a name and pattern");
     return;
   }
 
-  if (!name || !pattern) {
-    showSnackbar("Please enter a name and pattern");
+  // Don't save templates that would copy literal {{...}} text
+  const firstError = validateTemplate(pattern).find(
+    (issue) => issue.level === "error"
+  );
+  if (firstError) {
+    showSnackbar(firstError.message);
     return;
   }
 
@@ -0,0 +1,137 @@
+/**
+ * format-settings.js - Stored formatting preferences shared by every copy path
+ */
+
+import { loadFromStorage } from "./utils.js";
+import { loadLinkRules } from "./link-rules.js";
+import { loadUrlCleaningSettings } from "./url-cleaner.js";
+import { loadTitleRules } from "./title-rules.js";
+import { loadUrlFilters } from "./url-filters.js";
+
+/**
+ * Default values for the formatting settings kept in storage
+ */
+export const DEFAULT_FORMAT_SETTINGS = {
+  linkContent: "titleAndUrl",
+  formatMarkdown: true,
+  formatTemplate: "[{{title}}]({{url}})",
+  plainTextTemplate: "{{title}} - {{url}}",
+  urlOnlyTemplate: "{{url}}",
+  titleOnlyTemplate: "{{title}}",
+  sortBy: "position",
+  sortDirection: "asc",
+  groupBy: "none",
+  groupStyle: "heading",
+  groupHeaderTemplate: "{{group}}",
+  groupSpacing: 1,
+  dedupeTabs: false,
+  headerTemplate: "",
+  footerTemplate: "",
+  itemSeparator: "\\n",
+  trailingNewline: false,
+  lineEnding: "lf",
+  richTextMode: "off",
+  outputMode: "template",
+  tabularColumns: ["title", "url"],
+  tabularHeaderRow: true,
+  tableGroupStyle: "column",
+  jsonPretty: true,
+  jsonShape: "readable",
+};
+
+// Storage keys needed to find the formats chosen as default
+const DEFAULT_FORMAT_KEYS = [
+  "defaultFormatIds",
+  "markdownFormats",
+  "plainTextFormats",
+];
+
+/**
+ * Gets the templates of the formats chosen as default in the format library
+ * Types without a default saved format get the built-in template.
+ * @param {Object} stored - Storage values for DEFAULT_FORMAT_KEYS
+ * @param {Object} [fallback] - Settings holding the built-in templates
+ * @returns {{formatTemplate: string, plainTextTemplate: string}} - Templates
+ */
+function getDefaultTemplates(stored, fallback = DEFAULT_FORMAT_SETTINGS) {
+  const ids = stored.defaultFormatIds || {};
+  const findPattern = (formats, id) =>
+    id ? (formats || []).find((format) => format.id === id)?.pattern : null;
+
+  return {
+    formatTemplate:
+      findPattern(stored.markdownFormats, ids.markdown) ||
+      fallback.formatTemplate,
+    plainTextTemplate:
+      findPattern(stored.plainTextFormats, ids.plaintext) ||
+      fallback.plainTextTemplate,
+  };
+}
+
+/**
+ * Loads the templates of the default formats
+ * @returns {Promise<{formatTemplate: string, plainTextTemplate: string}>} -
+ *   Templates to fall back to and to reset to
+ */
+export async function loadDefaultTemplates() {
+  return getDefaultTemplates(await loadFromStorage(DEFAULT_FORMAT_KEYS));
+}
+
+/**
+ * Loads formatting settings from storage, filling in defaults
+ * @param {Object} [defaults] - Values that replace DEFAULT_FORMAT_SETTINGS
+ *   for settings that were never stored
+ * @returns {Promise<Object>} - Options suitable for formatTabs
+ */
+export async function loadFormatSettings(defaults = {}) {
+  const result = await loadFromStorage([
+    ...Object.keys(DEFAULT_FORMAT_SETTINGS),
+    "groupByDomain",
+    "includeTitles",
+    "sortByPosition",
+    ...DEFAULT_FORMAT_KEYS,
+  ]);
+  const fallback = { ...DEFAULT_FORMAT_SETTINGS, ...defaults };
+  const settings = { ...fallback };
+
+  for (const key of Object.keys(DEFAULT_FORMAT_SETTINGS)) {
+    // Empty strings are valid for the header and footer templates
+    if (result[key] !== undefined && result[key] !== null) {
+      settings[key] = result[key];
+    }
+  }
+
+  // Missing or empty templates, which older versions could save, fall
+  // back to the default formats
+  const defaultTemplates = getDefaultTemplates(result, fallback);
+  settings.formatTemplate =
+    result.formatTemplate || defaultTemplates.formatTemplate;
+  settings.plainTextTemplate =
+    result.plainTextTemplate || defaultTemplates.plainTextTemplate;
+  settings.urlOnlyTemplate =
+    settings.urlOnlyTemplate || fallback.urlOnlyTemplate;
+  settings.titleOnlyTemplate =
+    settings.titleOnlyTemplate || fallback.titleOnlyTemplate;
+
+  // Older versions only had an include titles switch
+  if (result.linkContent === undefined && result.includeTitles === false) {
+    settings.linkContent = "urlOnly";
+  }
+
+  // Older versions could only sort by position
+  if (result.sortBy === undefined && result.sortByPosition === false) {
+    settings.sortBy = "none";
+  }
+
+  // Older versions only had a group by domain switch
+  if (result.groupBy === undefined && result.groupByDomain) {
+    settings.groupBy = "domain";
+  }
+
+  settings.linkRules = await loadLinkRules();
+  settings.urlCleaning = await loadUrlCleaningSettings();
+  settings.titleRules = await loadTitleRules();
+  settings.urlFilters = await loadUrlFilters();
+
+  return settings;
+}
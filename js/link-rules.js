@@ -0,0 +1,143 @@
+/**
+ * link-rules.js - Rules that replace the link text for matching URLs
+ */
+
+import {
+  loadFromStorage,
+  saveToStorage,
+  formatWithTemplate,
+  generateUniqueId,
+} from "./utils.js";
+
+/**
+ * Rules used until the user changes them
+ * In a rule's text, {{1}}, {{2}}... are the pattern's capture groups and
+ * every normal placeholder such as {{title}} or {{domain}} still works.
+ * @type {Array<{id: string, name: string, pattern: string, text: string, enabled: boolean}>}
+ */
+export const DEFAULT_LINK_RULES = [
+  {
+    id: "github",
+    name: "GitHub pull requests and issues",
+    pattern: "^https?://github\\.com/([^/]+)/([^/]+)/(?:pull|issues)/(\\d+)",
+    text: "{{1}}/{{2}}#{{3}}",
+    enabled: true,
+  },
+  {
+    id: "jira",
+    name: "Jira issues",
+    pattern: "^https?://[^/]+/browse/([A-Z][A-Z0-9_]+-\\d+)",
+    text: "{{1}}: {{title}}",
+    enabled: true,
+  },
+  {
+    id: "youtube",
+    name: "YouTube videos",
+    pattern: "^https?://(?:(?:www|m)\\.)?(?:youtube\\.com/watch|youtu\\.be/)",
+    text: "▶ {{title}}",
+    enabled: true,
+  },
+];
+
+// Compiled patterns, so each rule is only parsed once
+const patternCache = new Map();
+
+/**
+ * Compiles a rule pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} - Compiled pattern, or null if it is invalid
+ */
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    try {
+      patternCache.set(pattern, new RegExp(pattern, "i"));
+    } catch (error) {
+      console.warn(`Invalid link rule pattern: ${pattern}`, error);
+      patternCache.set(pattern, null);
+    }
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Checks a rule pattern before it is saved
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} - Error message, or null if the pattern is valid
+ */
+export function validateLinkRulePattern(pattern) {
+  if (!pattern || !pattern.trim()) {
+    return "Pattern is empty";
+  }
+  try {
+    new RegExp(pattern, "i");
+    return null;
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+}
+
+/**
+ * Gets the link text from the first enabled rule matching a URL
+ * @param {string} url - Tab URL
+ * @param {Object} data - Template data for the tab
+ * @param {Array} rules - Link rules in priority order
+ * @returns {string|null} - Link text, or null if no rule matches
+ */
+export function getRuleLinkText(url, data, rules) {
+  if (!url || !Array.isArray(rules)) return null;
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    const regex = compilePattern(rule.pattern);
+    const match = regex && regex.exec(url);
+    if (!match) continue;
+
+    // Numbered and named capture groups become placeholders
+    const groups = { ...match.groups };
+    match.slice(1).forEach((value, i) => {
+      groups[i + 1] = value || "";
+    });
+
+    return formatWithTemplate(rule.text, { ...data, ...groups });
+  }
+
+  return null;
+}
+
+/**
+ * Creates a new enabled rule
+ * @param {string} name - Rule name
+ * @param {string} pattern - Regular expression matched against the URL
+ * @param {string} text - Link text template
+ * @returns {Object} - Link rule
+ */
+export function createLinkRule(name, pattern, text) {
+  return {
+    id: generateUniqueId("rule_"),
+    name,
+    pattern,
+    text,
+    enabled: true,
+  };
+}
+
+/**
+ * Loads link rules from storage
+ * @returns {Promise<Array>} - Saved rules, or the defaults if none were saved
+ */
+export async function loadLinkRules() {
+  const result = await loadFromStorage(["linkRules"]);
+  return Array.isArray(result.linkRules)
+    ? result.linkRules
+    : DEFAULT_LINK_RULES.map((rule) => ({ ...rule }));
+}
+
+/**
+ * Saves link rules to storage
+ * @param {Array} rules - Rules in priority order
+ * @returns {Promise<void>}
+ */
+export async function saveLinkRules(rules) {
+  return saveToStorage({ linkRules: rules });
+}
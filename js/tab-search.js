@@ -0,0 +1,209 @@
+/**
+ * tab-search.js - Search queries for narrowing down the tab list
+ */
+
+/**
+ * Flags that can be searched for with is:
+ * @type {Object<string, Function>}
+ */
+const TAB_FLAGS = {
+  pinned: (tab) => !!tab.pinned,
+  audible: (tab) => !!tab.audible,
+  muted: (tab) => !!(tab.mutedInfo && tab.mutedInfo.muted),
+  grouped: (tab) => tab.groupId !== undefined && tab.groupId !== -1,
+};
+
+/**
+ * Operators shown as hints next to the search field
+ * @type {Array<{text: string, desc: string}>}
+ */
+export const SEARCH_OPERATORS = [
+  { text: "site:github.com", desc: "Tabs on a site or its subdomains" },
+  { text: "-site:github.com", desc: "Leave out a site" },
+  { text: "is:pinned", desc: "Pinned tabs (also is:audible, is:muted)" },
+  { text: "-is:pinned", desc: "Leave out pinned tabs" },
+  { text: '"exact words"', desc: "Match the words as typed" },
+];
+
+// Matched characters may be spread over at most this many times the term length
+const MAX_FUZZY_SPREAD = 3;
+
+/**
+ * Splits a query into words, keeping quoted phrases together
+ * @param {string} query - Search query
+ * @returns {Array<{text: string, quoted: boolean}>} - Words and phrases,
+ *   without quotes
+ */
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /(-?\w+:)?"([^"]*)"?|\S+/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const quoted = match[2] !== undefined;
+    const text = quoted ? `${match[1] || ""}${match[2]}` : match[0];
+    if (text.trim()) {
+      // A quoted operator value is still an operator, not a phrase
+      tokens.push({ text: text.trim(), quoted: quoted && !match[1] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a search query into terms and operators
+ * Unknown operators are searched for as plain text. Quoted phrases must
+ * appear exactly as typed.
+ * @param {string} query - Search query
+ * @returns {{terms: string[], phrases: string[], sites: string[], excludedSites: string[], flags: string[], excludedFlags: string[]}} - Parsed query
+ */
+export function parseSearchQuery(query) {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    sites: [],
+    excludedSites: [],
+    flags: [],
+    excludedFlags: [],
+  };
+
+  tokenize(query || "").forEach(({ text: token, quoted }) => {
+    if (quoted) {
+      parsed.phrases.push(token.toLowerCase());
+      return;
+    }
+
+    const operator = token.match(/^(-?)(site|is):(.+)$/i);
+    if (!operator) {
+      parsed.terms.push(token.toLowerCase());
+      return;
+    }
+
+    const [, negated, name, value] = operator;
+    const lowerValue = value.toLowerCase();
+    if (name.toLowerCase() === "site") {
+      parsed[negated ? "excludedSites" : "sites"].push(
+        lowerValue.replace(/^\*?\./, "")
+      );
+    } else if (TAB_FLAGS[lowerValue]) {
+      parsed[negated ? "excludedFlags" : "flags"].push(lowerValue);
+    } else {
+      parsed.terms.push(token.toLowerCase());
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Checks whether a query has anything to search for
+ * @param {string} query - Search query
+ * @returns {boolean} - Whether the query would filter tabs
+ */
+export function hasSearchQuery(query) {
+  const parsed = parseSearchQuery(query);
+  return Object.values(parsed).some((values) => values.length > 0);
+}
+
+/**
+ * Checks whether the characters of a term appear in order, close together
+ * @param {string} term - Lower case search term
+ * @param {string} text - Lower case text to search
+ * @returns {boolean} - Whether the term matches
+ */
+export function fuzzyMatch(term, text) {
+  if (!term) return true;
+  if (!text) return false;
+  if (text.includes(term)) return true;
+
+  // Try each place the first character appears, the closest match wins
+  const maxSpread = term.length * MAX_FUZZY_SPREAD;
+  let start = text.indexOf(term[0]);
+  while (start !== -1) {
+    let position = start;
+    let matched = true;
+    for (let i = 1; i < term.length; i++) {
+      position = text.indexOf(term[i], position + 1);
+      if (position === -1 || position - start >= maxSpread) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) return true;
+    start = text.indexOf(term[0], start + 1);
+  }
+  return false;
+}
+
+/**
+ * Gets the lower case hostname of a tab
+ * @param {Object} tab - Tab object
+ * @returns {string} - Hostname, or empty for URLs without one
+ */
+function getHostname(tab) {
+  try {
+    return new URL(tab.url || "").hostname.toLowerCase();
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Checks whether a hostname is a site or one of its subdomains
+ * @param {string} hostname - Tab hostname
+ * @param {string} site - Site from a site: operator
+ * @returns {boolean} - Whether the hostname belongs to the site
+ */
+function matchesSite(hostname, site) {
+  return hostname === site || hostname.endsWith(`.${site}`);
+}
+
+/**
+ * Checks a tab against a parsed query
+ * Every term, phrase and flag must match, and any one of several sites.
+ * @param {Object} tab - Tab object
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} - Whether the tab matches
+ */
+export function tabMatchesSearch(tab, parsed) {
+  const hostname = getHostname(tab);
+
+  if (
+    parsed.sites.length > 0 &&
+    !parsed.sites.some((site) => matchesSite(hostname, site))
+  ) {
+    return false;
+  }
+  if (parsed.excludedSites.some((site) => matchesSite(hostname, site))) {
+    return false;
+  }
+  if (!parsed.flags.every((flag) => TAB_FLAGS[flag](tab))) {
+    return false;
+  }
+  if (parsed.excludedFlags.some((flag) => TAB_FLAGS[flag](tab))) {
+    return false;
+  }
+
+  const title = (tab.title || "").toLowerCase();
+  const url = (tab.url || "").toLowerCase();
+  return (
+    parsed.phrases.every(
+      (phrase) => title.includes(phrase) || url.includes(phrase)
+    ) &&
+    parsed.terms.every(
+      (term) => fuzzyMatch(term, title) || fuzzyMatch(term, url)
+    )
+  );
+}
+
+/**
+ * Filters tabs with a search query
+ * @param {Array} tabs - Array of tab objects
+ * @param {string} query - Search query
+ * @returns {Array} - Matching tabs, in their original order
+ */
+export function filterTabsBySearch(tabs, query) {
+  if (!hasSearchQuery(query)) return tabs;
+
+  const parsed = parseSearchQuery(query);
+  return tabs.filter((tab) => tabMatchesSearch(tab, parsed));
+}
@@ -2,7 +2,432 @@
  * tabs-formatter.js - Functions for formatting tabs
  */
 
-import { formatWithTemplate } from "./utils.js";
+import {
+  formatWithTemplate,
+  formatDate,
+  escapeMarkdown,
+  escapeMarkdownUrl,
+  escapeHtml,
+  parsePlaceholder,
+  TEMPLATE_FILTERS,
+} from "./utils.js";
+import { chromeTabToCompactTab } from "./folders.js";
+import { getRuleLinkText } from "./link-rules.js";
+import { applyTitleRules } from "./title-rules.js";
+import { removeDuplicateTabs } from "./url-cleaner.js";
+import { filterTabsBySearch } from "./tab-search.js";
+
+/**
+ * Placeholders available in format templates
+ * @type {Array<{text: string, desc: string}>}
+ */
+export const TEMPLATE_PLACEHOLDERS = [
+  { text: "{{title}}", desc: "Tab title" },
+  { text: "{{url}}", desc: "Tab URL" },
+  { text: "{{domain}}", desc: "Domain without www (example.com)" },
+  { text: "{{host}}", desc: "Host including port (example.com:8080)" },
+  { text: "{{path}}", desc: "URL path (/docs/page)" },
+  { text: "{{query}}", desc: "Query string without the ?" },
+  { text: "{{index}}", desc: "1-based position in the copied list" },
+  {
+    text: "{{windowIndex}}",
+    desc: "1-based position of the tab in its window",
+  },
+  { text: "{{favicon}}", desc: "Favicon URL" },
+  { text: "{{pinned}}", desc: '"pinned" for pinned tabs, empty otherwise' },
+  { text: "{{groupName}}", desc: "Name of the tab group" },
+  { text: "{{date}}", desc: "Copy date, e.g. {{date:YYYY-MM-DD}}" },
+  { text: "{{time}}", desc: "Copy time, e.g. {{time:HH:mm}}" },
+];
+
+/**
+ * Filters that can be chained onto placeholders with "|"
+ * @type {Array<{text: string, desc: string}>}
+ */
+export const TEMPLATE_FILTER_HINTS = [
+  { text: "|truncate:60", desc: "Shorten to 60 characters" },
+  { text: "|upper", desc: "Upper case (also |lower, |trim)" },
+  { text: "|urlencode", desc: "Percent-encode the value" },
+  { text: "|escapeMarkdown", desc: "Escape Markdown characters" },
+  { text: '|default:"Untitled"', desc: "Fallback for empty values" },
+  { text: "|stripQuery", desc: "Remove the ?query from a URL" },
+  { text: "|raw", desc: "Skip automatic Markdown escaping" },
+];
+
+/**
+ * Columns available in CSV, TSV and Markdown table output, in output order
+ * value() gets the tab, its position and its getTabTemplateData values, so
+ * titles match the other output modes.
+ * @type {Array<{id: string, label: string, tableLabel?: string, value: Function}>}
+ */
+export const TABULAR_COLUMNS = [
+  {
+    id: "index",
+    label: "Index",
+    tableLabel: "#",
+    value: (tab, index) => String(index + 1),
+  },
+  { id: "title", label: "Title", value: (tab, index, data) => data.title },
+  {
+    id: "domain",
+    label: "Domain",
+    value: (tab) => extractDomain(tab.url || ""),
+  },
+  { id: "url", label: "URL", value: (tab) => tab.url || "" },
+  {
+    id: "window",
+    label: "Window",
+    value: (tab) =>
+      tab.windowNumber !== undefined ? String(tab.windowNumber) : "",
+  },
+  { id: "pinned", label: "Pinned", value: (tab) => String(!!tab.pinned) },
+];
+
+/**
+ * Display colors for Chrome tab group color names
+ * @type {Object<string, string>}
+ */
+export const TAB_GROUP_COLORS = {
+  grey: "#5f6368",
+  blue: "#1a73e8",
+  red: "#d93025",
+  yellow: "#f9ab00",
+  green: "#1e8e3e",
+  pink: "#d01884",
+  purple: "#9334e6",
+  cyan: "#007b83",
+  orange: "#fa903e",
+};
+
+// Column headers naming each kind of group in tables
+const GROUP_COLUMN_LABELS = {
+  domain: "Domain",
+  tabGroup: "Tab group",
+  window: "Window",
+};
+
+/**
+ * What each copied link is made of
+ * Modes other than titleAndUrl have a template of their own, used instead of
+ * the Markdown and plain text templates.
+ * @type {Object<string, {label: string, templateKey?: string, defaultTemplate?: string}>}
+ */
+export const LINK_CONTENT_MODES = {
+  titleAndUrl: { label: "Title and URL" },
+  urlOnly: {
+    label: "URL only",
+    templateKey: "urlOnlyTemplate",
+    defaultTemplate: "{{url}}",
+  },
+  titleOnly: {
+    label: "Title only",
+    templateKey: "titleOnlyTemplate",
+    defaultTemplate: "{{title}}",
+  },
+};
+
+/**
+ * Works out the link content mode from formatting options
+ * Settings from before the modes existed only have includeTitles.
+ * @param {Object} options - Formatting options
+ * @returns {string} - Key of LINK_CONTENT_MODES
+ */
+export function getLinkContent(options = {}) {
+  if (LINK_CONTENT_MODES[options.linkContent]) {
+    return options.linkContent;
+  }
+  return options.includeTitles === false ? "urlOnly" : "titleAndUrl";
+}
+
+/**
+ * Finds the link text and link targets in a Markdown template
+ * Covers [text](target), ![alt](target) and <target> autolinks.
+ * @param {string} template - Markdown template
+ * @returns {{text: Array<number[]>, target: Array<number[]>}} - Start and
+ *   end offsets of each part
+ */
+function getMarkdownLinkRanges(template) {
+  const ranges = { text: [], target: [] };
+  const linkPattern = /\[([^\]]*)\]\(([^)]*)\)|<([^<>\s]+)>/g;
+  let match;
+  while ((match = linkPattern.exec(template)) !== null) {
+    if (match[3] !== undefined) {
+      ranges.target.push([match.index + 1, match.index + 1 + match[3].length]);
+      continue;
+    }
+    const textStart = match.index + 1;
+    const targetStart = textStart + match[1].length + 2;
+    ranges.text.push([textStart, textStart + match[1].length]);
+    ranges.target.push([targetStart, targetStart + match[2].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Creates the escape function for a Markdown template
+ * Values in link targets are percent-encoded so the link stays valid, values
+ * in link text are escaped so they can't break out of it, and values outside
+ * links are left as they are.
+ * @param {string} template - Markdown template
+ * @returns {Function} - Escape function for formatWithTemplate
+ */
+function createMarkdownEscape(template) {
+  const ranges = getMarkdownLinkRanges(template);
+  const within = (list, offset) =>
+    list.some(([start, end]) => offset >= start && offset < end);
+
+  return (value, key, offset) => {
+    if (within(ranges.target, offset)) return escapeMarkdownUrl(value);
+    if (within(ranges.text, offset)) return escapeMarkdown(value);
+    return value;
+  };
+}
+
+/**
+ * Percent-encodes the characters that would end a link target early
+ * @param {string} url - URL to encode
+ * @param {RegExp} pattern - Characters to encode
+ * @returns {string} - Encoded URL
+ */
+function encodeUrlChars(url, pattern) {
+  return String(url || "").replace(
+    pattern,
+    (char) =>
+      "%" + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")
+  );
+}
+
+/**
+ * Replaces each character found in a lookup table
+ * @param {string} text - Text to escape
+ * @param {Object<string, string>} replacements - Character to replacement map
+ * @returns {string} - Escaped text
+ */
+function replaceChars(text, replacements) {
+  return Array.from(String(text || ""), (char) =>
+    char in replacements ? replacements[char] : char
+  ).join("");
+}
+
+// Wikitext that would otherwise close the link or start markup
+const MEDIAWIKI_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "[": "&#91;",
+  "]": "&#93;",
+  "'": "&#39;",
+  "{": "&#123;",
+  "}": "&#125;",
+  "~": "&#126;",
+};
+
+// Slack only requires these three to be escaped in message text
+const SLACK_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;" };
+
+/**
+ * Escapes text for Org-mode
+ * Org has no escape character, so brackets that could start a link are
+ * swapped for braces.
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeOrg(text) {
+  return String(text).replace(/\[/g, "{").replace(/\]/g, "}");
+}
+
+/**
+ * Escapes text for AsciiDoc
+ * Text with formatting marks or attribute references goes in a pass:c[]
+ * macro, which keeps it literal apart from escaping HTML characters.
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeAsciidoc(text) {
+  const value = String(text);
+  return /[*_`#^~+{}[\]\\]/.test(value)
+    ? `pass:c[${value.replace(/\]/g, "\\]")}]`
+    : value;
+}
+
+/**
+ * Escapes inline markup characters for reStructuredText
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRst(text) {
+  return String(text).replace(/([\\`*_|])/g, "\\$1");
+}
+
+/**
+ * Escapes text for BBCode
+ * BBCode has no escape character, so brackets become braces.
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeBbcode(text) {
+  return String(text).replace(/\[/g, "{").replace(/\]/g, "}");
+}
+
+/**
+ * Escapes text for Jira wiki markup
+ * Brackets, pipes, braces and the paired effect markers always need a
+ * backslash. - and # only start a list at the beginning of a line, ? only
+ * matters as ?? and ! only around an image name, so they are left alone
+ * everywhere else.
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeJira(text) {
+  const escaped = String(text || "")
+    .replace(/([\\[\]|{}*_+^~])/g, "\\$1")
+    .replace(/\?\?/g, "\\?\\?")
+    .replace(/^(\s*)([-#])/gm, "$1\\$2");
+  return (escaped.match(/!/g) || []).length > 1
+    ? escaped.replace(/!/g, "\\!")
+    : escaped;
+}
+
+/**
+ * Link, list and heading syntax for each lightweight markup output mode
+ * link(), text(), heading() and nest() receive raw values and are responsible
+ * for escaping them.
+ * wrapList() is optional, for markup where a list needs opening and closing tags.
+ * nest() renders a group as a list item with its tabs as a sub-list.
+ * @type {Object<string, {label: string, item: string, link: Function, bareLink: Function, text: Function, heading: Function, nest: Function, wrapList?: Function}>}
+ */
+export const MARKUP_FORMATS = {
+  org: {
+    label: "Org-mode",
+    item: "- ",
+    link: (title, url) =>
+      `[[${encodeUrlChars(url, /[\s[\]]/g)}][${escapeOrg(title)}]]`,
+    bareLink: (url) => `[[${encodeUrlChars(url, /[\s[\]]/g)}]]`,
+    text: (text) => escapeOrg(text),
+    heading: (text) => `* ${escapeOrg(text)}`,
+    nest: (text, items, separator) =>
+      `- ${escapeOrg(text)}\n${items
+        .map((item) => `  ${item}`)
+        .join(separator)}`,
+  },
+  asciidoc: {
+    label: "AsciiDoc",
+    item: "* ",
+    link: (title, url) =>
+      `link:${encodeUrlChars(url, /[\s[\]]/g)}[${String(title).replace(
+        /([\\\]])/g,
+        "\\$1"
+      )}]`,
+    bareLink: (url) => `link:${encodeUrlChars(url, /[\s[\]]/g)}[]`,
+    text: (text) => escapeAsciidoc(text),
+    heading: (text) => `== ${escapeAsciidoc(text)}`,
+    nest: (text, items, separator) =>
+      `* ${escapeAsciidoc(text)}\n${items
+        .map((item) => `*${item}`)
+        .join(separator)}`,
+  },
+  rst: {
+    label: "reStructuredText",
+    item: "- ",
+    // Anonymous links (__) so tabs sharing a title don't clash as targets
+    link: (title, url) =>
+      `\`${String(title).replace(/([\\`<>])/g, "\\$1")} <${encodeUrlChars(
+        url,
+        /[\s<>`]/g
+      )}>\`__`,
+    bareLink: (url) => encodeUrlChars(url, /[\s<>`]/g),
+    text: (text) => escapeRst(text),
+    // The underline has to be at least as long as the escaped title
+    heading: (text) => {
+      const title = escapeRst(text);
+      return `${title}\n${"=".repeat(title.length)}`;
+    },
+    // A nested list needs a blank line before it
+    nest: (text, items, separator) =>
+      `- ${escapeRst(text)}\n\n${items
+        .map((item) => `  ${item}`)
+        .join(separator)}`,
+  },
+  mediawiki: {
+    label: "MediaWiki",
+    item: "* ",
+    link: (title, url) =>
+      `[${encodeUrlChars(url, /[\s[\]]/g)} ${replaceChars(
+        title,
+        MEDIAWIKI_ENTITIES
+      )}]`,
+    bareLink: (url) => `[${encodeUrlChars(url, /[\s[\]]/g)}]`,
+    text: (text) => replaceChars(text, MEDIAWIKI_ENTITIES),
+    heading: (text) => `== ${replaceChars(text, MEDIAWIKI_ENTITIES)} ==`,
+    nest: (text, items, separator) =>
+      `* ${replaceChars(text, MEDIAWIKI_ENTITIES)}\n${items
+        .map((item) => `*${item}`)
+        .join(separator)}`,
+  },
+  jira: {
+    label: "Jira / Confluence",
+    item: "* ",
+    link: (title, url) =>
+      `[${escapeJira(title)}|${encodeUrlChars(url, /[\s[\]|]/g)}]`,
+    bareLink: (url) => `[${encodeUrlChars(url, /[\s[\]|]/g)}]`,
+    text: (text) => escapeJira(text),
+    heading: (text) => `h2. ${escapeJira(text)}`,
+    nest: (text, items, separator) =>
+      `* ${escapeJira(text)}\n${items
+        .map((item) => `*${item}`)
+        .join(separator)}`,
+  },
+  bbcode: {
+    label: "BBCode",
+    item: "[*]",
+    link: (title, url) =>
+      `[url=${encodeUrlChars(url, /[\s[\]"]/g)}]${escapeBbcode(title)}[/url]`,
+    bareLink: (url) => `[url]${encodeUrlChars(url, /[\s[\]"]/g)}[/url]`,
+    text: (text) => escapeBbcode(text),
+    heading: (text) => `[b]${escapeBbcode(text)}[/b]`,
+    nest: (text, items, separator) =>
+      `[*]${escapeBbcode(text)}\n[list]\n${items.join(separator)}\n[/list]`,
+    wrapList: (items) => `[list]\n${items}\n[/list]`,
+  },
+  slack: {
+    label: "Slack mrkdwn",
+    item: "• ",
+    link: (title, url) =>
+      `<${encodeUrlChars(url, /[\s<>|]/g)}|${replaceChars(
+        title,
+        SLACK_ENTITIES
+      )}>`,
+    bareLink: (url) => `<${encodeUrlChars(url, /[\s<>|]/g)}>`,
+    text: (text) => replaceChars(text, SLACK_ENTITIES),
+    heading: (text) => `*${replaceChars(text, SLACK_ENTITIES)}*`,
+    // Slack has no real nesting, so indent with a hollow bullet
+    nest: (text, items, separator) =>
+      `• ${replaceChars(text, SLACK_ENTITIES)}\n${items
+        .map((item) => `    ${item.replace(/^• /, "◦ ")}`)
+        .join(separator)}`,
+  },
+};
+
+/**
+ * Formats a single tab as a list item in one of the markup output modes
+ * @param {Object} tab - Tab object
+ * @param {Object} markup - Entry from MARKUP_FORMATS
+ * @param {string} linkContent - Key of LINK_CONTENT_MODES
+ * @param {Object} [context] - Formatting context passed to getTabTemplateData
+ * @returns {string} - Formatted list item
+ */
+function formatMarkupTab(tab, markup, linkContent, context = {}) {
+  const url = tab.url || "";
+  const title = getTabTemplateData(tab, context).title;
+
+  if (linkContent === "urlOnly") {
+    return `${markup.item}${markup.bareLink(url)}`;
+  }
+  if (linkContent === "titleOnly") {
+    return `${markup.item}${markup.text(title || url)}`;
+  }
+  return `${markup.item}${markup.link(title || url, url)}`;
+}
 
 /**
  * Extracts domain from a URL
@@ -18,18 +443,308 @@ export function extractDomain(url) {
   }
 }
 
+/**
+ * Builds the placeholder values for a single tab
+ * @param {Object} tab - Tab object
+ * @param {Object} context - Formatting context
+ * @param {number} [context.index] - 0-based position in the output
+ * @param {Date} [context.now] - Time of the copy, shared by all tabs
+ * @param {Array} [context.linkRules] - Rules that can replace {{title}}
+ * @param {Object} [context.titleRules] - Title cleanup settings
+ * @returns {Object} - Placeholder values keyed by name
+ */
+export function getTabTemplateData(tab, context = {}) {
+  const url = tab.url || "";
+  const now = context.now || new Date();
+
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    // Leave URL-derived placeholders empty for unparsable URLs
+  }
+
+  const data = {
+    title: applyTitleRules(tab.title || "", url, context.titleRules),
+    url,
+    domain: parsedUrl ? parsedUrl.hostname.replace(/^www\./, "") : "",
+    host: parsedUrl ? parsedUrl.host : "",
+    path: parsedUrl ? parsedUrl.pathname : "",
+    query: parsedUrl ? parsedUrl.search.replace(/^\?/, "") : "",
+    index: context.index !== undefined ? String(context.index + 1) : "",
+    windowIndex: typeof tab.index === "number" ? String(tab.index + 1) : "",
+    favicon: tab.favIconUrl || "",
+    pinned: tab.pinned ? "pinned" : "",
+    groupName: tab.groupTitle || "",
+    date: (pattern) => formatDate(now, pattern || "YYYY-MM-DD"),
+    time: (pattern) => formatDate(now, pattern || "HH:mm"),
+  };
+
+  // A matching link rule replaces the title used as link text
+  const ruleText = getRuleLinkText(url, data, context.linkRules);
+  if (ruleText !== null) {
+    data.title = ruleText;
+  }
+
+  return data;
+}
+
+/**
+ * Numbers each tab's window from 1, in the order the browser opened them
+ * Numbers come from the full window list, so a window keeps its number
+ * whatever URL filters or searches leave of its tabs.
+ * @param {Array} tabs - Array of tab objects
+ * @returns {Promise<Array>} - Tabs with windowNumber set
+ */
+export async function attachWindowNumbers(tabs) {
+  let windowIds = [];
+  try {
+    if (typeof browser !== "undefined" && browser.windows) {
+      const windows = await browser.windows.getAll();
+      windowIds = windows.map((window) => window.id);
+    }
+  } catch (error) {
+    console.error("Error loading windows:", error);
+  }
+
+  // Fall back to the windows the tabs themselves come from
+  const numbers = new Map(
+    [...new Set([...windowIds, ...tabs.map((tab) => tab.windowId)])]
+      .filter((windowId) => windowId !== undefined)
+      .sort((a, b) => a - b)
+      .map((windowId, i) => [windowId, i + 1])
+  );
+
+  return tabs.map((tab) =>
+    numbers.has(tab.windowId)
+      ? { ...tab, windowNumber: numbers.get(tab.windowId) }
+      : tab
+  );
+}
+
+/**
+ * Adds tab group titles and colors to tabs that belong to a group
+ * Browsers without the tabGroups API get the tabs back unchanged.
+ * @param {Array} tabs - Array of tab objects
+ * @returns {Promise<Array>} - Tabs with groupTitle and groupColor set
+ */
+export async function attachTabGroups(tabs) {
+  if (typeof browser === "undefined" || !browser.tabGroups) {
+    return tabs;
+  }
+
+  try {
+    const groupIds = [
+      ...new Set(
+        tabs.map((tab) => tab.groupId).filter((groupId) => groupId >= 0)
+      ),
+    ];
+
+    const groups = await Promise.all(
+      groupIds.map((groupId) => browser.tabGroups.get(groupId))
+    );
+    const groupsById = new Map(groups.map((group) => [group.id, group]));
+
+    return tabs.map((tab) => {
+      const group = groupsById.get(tab.groupId);
+      return group
+        ? { ...tab, groupTitle: group.title || "", groupColor: group.color }
+        : tab;
+    });
+  } catch (error) {
+    console.error("Error loading tab groups:", error);
+    return tabs;
+  }
+}
+
+/**
+ * Splits tabs into lists in the order each key first appears
+ * @param {Array} tabs - Array of tab objects
+ * @param {Function} getKey - Returns the group key for a tab
+ * @returns {Map} - Tabs keyed by group key
+ */
+function splitTabsBy(tabs, getKey) {
+  const groups = new Map();
+  tabs.forEach((tab) => {
+    const key = getKey(tab);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tab);
+  });
+  return groups;
+}
+
+/**
+ * Groups tabs for output
+ * Every group has a type, a label used as its heading and its tabs. Domain
+ * groups also keep the raw domain, and tab groups their color.
+ * @param {Array} tabs - Array of tab objects
+ * @param {string} groupBy - "domain", "tabGroup" or "window"
+ * @returns {Array<{type: string, label: string, tabs: Array}>} - Groups
+ */
+export function groupTabs(tabs, groupBy) {
+  if (groupBy === "tabGroup") {
+    const groups = Array.from(
+      splitTabsBy(tabs, (tab) => (tab.groupId >= 0 ? tab.groupId : -1)),
+      ([groupId, groupTabs]) => {
+        const { groupTitle, groupColor } = groupTabs[0];
+        const unnamed = groupColor
+          ? `Unnamed ${groupColor} group`
+          : "Unnamed group";
+        return {
+          type: "tabGroup",
+          label: groupId === -1 ? "Ungrouped tabs" : groupTitle || unnamed,
+          color: groupId === -1 ? null : groupColor || null,
+          ungrouped: groupId === -1,
+          tabs: groupTabs,
+        };
+      }
+    );
+
+    // Ungrouped tabs go after every named group
+    return [
+      ...groups.filter((group) => !group.ungrouped),
+      ...groups.filter((group) => group.ungrouped),
+    ];
+  }
+
+  if (groupBy === "window") {
+    // Windows keep the number attachWindowNumbers gave them, whatever the
+    // tabs are sorted by or filtered down to
+    return Array.from(
+      splitTabsBy(tabs, (tab) => tab.windowId),
+      ([windowId, windowTabs]) => ({ windowId, windowTabs })
+    )
+      .sort((a, b) => (a.windowId ?? 0) - (b.windowId ?? 0))
+      .map(({ windowTabs }, i) => ({
+        type: "window",
+        label: `Window ${windowTabs[0].windowNumber ?? i + 1}`,
+        tabs: windowTabs,
+      }));
+  }
+
+  return Array.from(
+    splitTabsBy(tabs, (tab) => extractDomain(tab.url || "")),
+    ([domain, domainTabs]) => ({
+      type: "domain",
+      label: domain || "Unknown Domain",
+      domain,
+      tabs: domainTabs,
+    })
+  );
+}
+
+/**
+ * Compares text the way people expect a sorted list to read
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {number} - Sort order
+ */
+function compareText(a, b) {
+  return String(a || "").localeCompare(String(b || ""), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+}
+
+/**
+ * Orders tabs can be sorted in, each with an ascending comparison
+ * compare() gets a function returning a tab's title after title rules, so
+ * tabs sort by the titles that end up in the output.
+ * @type {Object<string, {label: string, compare: Function}>}
+ */
+export const SORT_MODES = {
+  position: {
+    label: "Position",
+    compare: (a, b) =>
+      (a.windowId || 0) - (b.windowId || 0) || (a.index || 0) - (b.index || 0),
+  },
+  title: {
+    label: "Title",
+    compare: (a, b, titleOf) => compareText(titleOf(a), titleOf(b)),
+  },
+  domain: {
+    label: "Domain, then title",
+    compare: (a, b, titleOf) =>
+      compareText(extractDomain(a.url || ""), extractDomain(b.url || "")) ||
+      compareText(titleOf(a), titleOf(b)),
+  },
+  url: {
+    label: "URL",
+    compare: (a, b) => compareText(a.url, b.url),
+  },
+  lastAccessed: {
+    label: "Last used",
+    compare: (a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0),
+  },
+  // Tab IDs only ever increase, so they follow the order tabs were opened in
+  opened: {
+    label: "Opened",
+    compare: (a, b) => (a.id || 0) - (b.id || 0),
+  },
+};
+
+/**
+ * Sorts tabs without changing the original array
+ * @param {Array} tabs - Array of tab objects
+ * @param {string} sortBy - Key of SORT_MODES, anything else keeps the order
+ * @param {string} [direction] - "asc" or "desc"
+ * @param {Object} [titleRules] - Title cleanup settings
+ * @returns {Array} - Sorted tabs
+ */
+export function sortTabs(tabs, sortBy, direction = "asc", titleRules = null) {
+  const mode = SORT_MODES[sortBy];
+  if (!mode) return tabs;
+
+  // Clean each title once rather than on every comparison
+  const titles = new Map();
+  const titleOf = (tab) => {
+    if (!titles.has(tab)) {
+      titles.set(tab, applyTitleRules(tab.title || "", tab.url, titleRules));
+    }
+    return titles.get(tab);
+  };
+
+  const sign = direction === "desc" ? -1 : 1;
+  return [...tabs].sort((a, b) => sign * mode.compare(a, b, titleOf));
+}
+
+/**
+ * Checks whether processTabs returned groups rather than tabs
+ * @param {Array} tabs - Array of tab objects or groups
+ * @returns {boolean} - Whether the list holds groups
+ */
+export function isGroupedTabs(tabs) {
+  return !!(tabs && tabs[0] && Array.isArray(tabs[0].tabs));
+}
+
 /**
  * Process tabs before displaying or formatting
  * @param {Array} tabs - Array of tab objects
  * @param {Object} options - Processing options
- * @returns {Array} - Processed tabs
+ * @param {string} [options.searchQuery] - Only keep tabs matching this search
+ * @param {string} [options.sortBy] - Key of SORT_MODES, or "none"
+ * @param {string} [options.sortDirection] - "asc" or "desc"
+ * @param {Object} [options.titleRules] - Title cleanup settings to sort by
+ * @param {boolean} [options.sortByPosition] - Older name for sortBy "position"
+ * @param {string} [options.groupBy] - "none", "domain", "tabGroup" or "window"
+ * @param {boolean} [options.groupByDomain] - Older name for groupBy "domain"
+ * @param {boolean} [options.dedupeTabs] - Whether to drop tabs with duplicate URLs
+ * @param {Object} [options.urlCleaning] - Cleaning settings used to compare URLs
+ * @returns {Array} - Processed tabs, or groups from groupTabs
  */
 export function processTabs(tabs, options = {}) {
   const {
     sortByPosition = false,
+    sortBy = sortByPosition ? "position" : "none",
+    sortDirection = "asc",
     groupByDomain = false,
+    groupBy = groupByDomain ? "domain" : "none",
     showSelectedOnly = false,
     selectedTabs = [],
+    searchQuery = "",
+    dedupeTabs = false,
+    urlCleaning = null,
+    titleRules = null,
   } = options;
 
   // Filter tabs if showSelectedOnly is enabled
@@ -39,35 +754,304 @@ export function processTabs(tabs, options = {}) {
     processedTabs = tabs.filter((tab) => selectedIds.includes(tab.id));
   }
 
-  // Sort tabs
-  if (sortByPosition) {
-    processedTabs = [...processedTabs].sort((a, b) => a.index - b.index);
+  if (searchQuery) {
+    processedTabs = filterTabsBySearch(processedTabs, searchQuery);
   }
 
-  // Group tabs by domain
-  if (groupByDomain) {
-    // Extract unique domains
-    const domains = [
-      ...new Set(processedTabs.map((tab) => extractDomain(tab.url || ""))),
-    ];
+  processedTabs = sortTabs(processedTabs, sortBy, sortDirection, titleRules);
 
-    // Create groups for each domain
-    const domainGroups = domains.map((domain) => {
-      const domainTabs = processedTabs.filter(
-        (tab) => extractDomain(tab.url || "") === domain
-      );
-      return {
-        domain,
-        tabs: domainTabs,
-      };
-    });
+  // Keep the first tab of each URL, after sorting so "first" means the
+  // one that comes first in the output
+  if (dedupeTabs) {
+    processedTabs = removeDuplicateTabs(processedTabs, urlCleaning);
+  }
 
-    return domainGroups;
+  if (groupBy && groupBy !== "none") {
+    return groupTabs(processedTabs, groupBy);
   }
 
   return processedTabs;
 }
 
+/**
+ * Turns the escape sequences users can type into document options
+ * (a backslash followed by n or t) into the characters they stand for
+ * @param {string} value - Value as typed by the user
+ * @returns {string} - Value with escape sequences decoded
+ */
+export function decodeEscapes(value) {
+  return String(value || "").replace(/\\([nt\\])/g, (match, char) => {
+    if (char === "n") return "\n";
+    if (char === "t") return "\t";
+    return "\\";
+  });
+}
+
+/**
+ * Flattens groups from processTabs back into a list of tabs
+ * @param {Array} tabs - Array of tab objects or groups
+ * @returns {Array} - Array of tab objects
+ */
+export function flattenTabGroups(tabs) {
+  if (isGroupedTabs(tabs)) {
+    return tabs.flatMap((group) => group.tabs);
+  }
+  return tabs || [];
+}
+
+/**
+ * Quotes a field for CSV or TSV output when it contains the delimiter,
+ * quotes or line breaks
+ * Fields a spreadsheet would read as a formula get a leading apostrophe,
+ * so a tab titled "=HYPERLINK(...)" stays text when the file is opened.
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Field ready for output
+ */
+function quoteDelimitedField(value, delimiter) {
+  if (/^[=+\-@\t\r]/.test(value)) {
+    value = `'${value}`;
+  }
+  if (
+    value.includes(delimiter) ||
+    value.includes('"') ||
+    /[\r\n]/.test(value)
+  ) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Format tabs as CSV or TSV rows
+ * @param {Array} tabs - Array of tab objects
+ * @param {Object} options - Tabular options
+ * @param {string} [options.delimiter] - "," for CSV or "\t" for TSV
+ * @param {string[]} [options.columns] - Column ids from TABULAR_COLUMNS
+ * @param {boolean} [options.headerRow] - Whether to start with column names
+ * @param {Object} [options.context] - Title and link rules, as passed to
+ *   getTabTemplateData
+ * @returns {string} - Delimited text
+ */
+export function formatTabsAsDelimited(tabs, options = {}) {
+  const {
+    delimiter = ",",
+    columns = ["title", "url"],
+    headerRow = true,
+    context = {},
+  } = options;
+
+  const selectedColumns = TABULAR_COLUMNS.filter((column) =>
+    columns.includes(column.id)
+  );
+
+  const rows = tabs.map((tab, index) => {
+    const data = getTabTemplateData(tab, { ...context, index });
+    return selectedColumns.map((column) => column.value(tab, index, data));
+  });
+  if (headerRow) {
+    rows.unshift(selectedColumns.map((column) => column.label));
+  }
+
+  return rows
+    .map((row) =>
+      row.map((value) => quoteDelimitedField(value, delimiter)).join(delimiter)
+    )
+    .join("\n");
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ * @param {string} value - Cell value
+ * @param {string} columnId - Column id from TABULAR_COLUMNS
+ * @returns {string} - Escaped cell
+ */
+function escapeTableCell(value, columnId) {
+  if (columnId === "url") {
+    return escapeMarkdownUrl(value).replace(/\|/g, "%7C");
+  }
+  return escapeMarkdown(value).replace(/[\r\n]+/g, " ");
+}
+
+/**
+ * Builds a single Markdown table with a header and separator row
+ * @param {Array} tabs - Array of tab objects
+ * @param {Array} columns - Entries from TABULAR_COLUMNS
+ * @param {number} startIndex - Index of the first tab in the whole list
+ * @param {Object} context - Title and link rules for getTabTemplateData
+ * @returns {string} - Markdown table
+ */
+function buildMarkdownTable(tabs, columns, startIndex, context) {
+  const toRow = (cells) => `| ${cells.join(" | ")} |`;
+
+  const rows = [
+    toRow(columns.map((column) => column.tableLabel || column.label)),
+    toRow(columns.map(() => "---")),
+    ...tabs.map((tab, i) => {
+      const index = startIndex + i;
+      const data = getTabTemplateData(tab, { ...context, index });
+      return toRow(
+        columns.map((column) =>
+          escapeTableCell(column.value(tab, index, data), column.id)
+        )
+      );
+    }),
+  ];
+
+  return rows.join("\n");
+}
+
+/**
+ * Format tabs as a Markdown table
+ * Grouped tabs either get a column naming their group in a single table or
+ * one table per group, depending on groupStyle.
+ * @param {Array} tabs - Array of tab objects or groups
+ * @param {Object} options - Table options
+ * @param {string[]} [options.columns] - Column ids from TABULAR_COLUMNS
+ * @param {string} [options.groupStyle] - "column" or "split"
+ * @param {string} [options.groupHeaderTemplate] - Heading of each split table
+ * @param {Object} [options.context] - Title and link rules, as passed to
+ *   getTabTemplateData
+ * @returns {string} - Markdown table text
+ */
+export function formatTabsAsMarkdownTable(tabs, options = {}) {
+  const {
+    columns = ["title", "url"],
+    groupStyle = "column",
+    groupHeaderTemplate = "{{group}}",
+    context = {},
+  } = options;
+  const isGrouped = isGroupedTabs(tabs);
+  const groupType = isGrouped ? tabs[0].type : null;
+
+  let selectedColumns = TABULAR_COLUMNS.filter((column) =>
+    columns.includes(column.id)
+  );
+
+  if (!isGrouped || groupStyle !== "split") {
+    // Domain groups reuse the domain column, other groups get their own
+    if (isGrouped && groupType === "domain") {
+      if (!columns.includes("domain")) {
+        selectedColumns = TABULAR_COLUMNS.filter((column) =>
+          [...columns, "domain"].includes(column.id)
+        );
+      }
+    } else if (isGrouped) {
+      const groupLabels = new Map(
+        tabs.flatMap((group) => group.tabs.map((tab) => [tab, group.label]))
+      );
+      selectedColumns = [
+        ...selectedColumns,
+        {
+          id: "group",
+          label: GROUP_COLUMN_LABELS[groupType] || "Group",
+          value: (tab) => groupLabels.get(tab) || "",
+        },
+      ];
+    }
+    return buildMarkdownTable(
+      flattenTabGroups(tabs),
+      selectedColumns,
+      0,
+      context
+    );
+  }
+
+  let startIndex = 0;
+  return tabs
+    .map((group) => {
+      const table = buildMarkdownTable(
+        group.tabs,
+        selectedColumns,
+        startIndex,
+        context
+      );
+      startIndex += group.tabs.length;
+      return `## ${formatGroupHeader(group, groupHeaderTemplate)}\n\n${table}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Converts a tab to the readable JSON export shape
+ * @param {Object} tab - Tab object
+ * @param {Object} data - Values from getTabTemplateData
+ * @returns {Object} - Plain object for JSON output
+ */
+function tabToJsonObject(tab, data) {
+  return {
+    title: data.title,
+    url: tab.url || "",
+    domain: extractDomain(tab.url || ""),
+    favIconUrl: tab.favIconUrl || "",
+    pinned: !!tab.pinned,
+    windowId: tab.windowId !== undefined ? tab.windowId : null,
+    groupTitle: tab.groupTitle || "",
+  };
+}
+
+/**
+ * Format tabs as JSON
+ * @param {Array} tabs - Array of tab objects, or groups
+ * @param {Object} options - JSON options
+ * @param {boolean} [options.pretty] - Indent the output
+ * @param {string} [options.shape] - "readable" objects or "compact" t/u/f
+ *   objects as stored in folders
+ * @param {Object} [options.folder] - Folder name and createdAt; wraps the
+ *   tabs in a folder object when set
+ * @param {Object} [options.context] - Title and link rules, as passed to
+ *   getTabTemplateData
+ * @returns {string} - JSON text
+ */
+export function formatTabsAsJson(tabs, options = {}) {
+  const {
+    pretty = true,
+    shape = "readable",
+    folder = null,
+    context = {},
+  } = options;
+
+  const toObject = (tab) => {
+    const data = getTabTemplateData(tab, context);
+    return shape === "compact"
+      ? { ...chromeTabToCompactTab(tab), t: data.title }
+      : tabToJsonObject(tab, data);
+  };
+  let data = isGroupedTabs(tabs)
+    ? tabs.map((group) => ({
+        group: group.label,
+        ...(group.color ? { color: group.color } : {}),
+        tabs: group.tabs.map(toObject),
+      }))
+    : tabs.map(toObject);
+
+  if (folder) {
+    data = {
+      name: folder.name || "",
+      createdAt: folder.createdAt || "",
+      tabs: data,
+    };
+  }
+
+  return JSON.stringify(data, null, pretty ? 2 : 0);
+}
+
+// Matches lines that already start with a Markdown list marker
+const LIST_MARKER = /^\s*(?:[-*+]|\d+[.)])\s/;
+
+/**
+ * Builds the header text for a group from the group header template
+ * @param {Object} group - Group from groupTabs
+ * @param {string} template - Template using {{group}} and {{count}}
+ * @returns {string} - Header text
+ */
+function formatGroupHeader(group, template) {
+  return formatWithTemplate(template || "{{group}}", {
+    group: group.label,
+    count: String(group.tabs.length),
+  });
+}
+
 /**
  * Format tabs according to user preferences
  * @param {Array} tabs - Array of tab objects
@@ -76,59 +1060,297 @@ export function processTabs(tabs, options = {}) {
  */
 export function formatTabs(tabs, options = {}) {
   const {
-    includeTitles = true,
+    outputMode = "template",
+    tabularColumns = ["title", "url"],
+    tabularHeaderRow = true,
+    tableGroupStyle = "column",
+    jsonPretty = true,
+    jsonShape = "readable",
+    folder = null,
     formatMarkdown = true,
     formatTemplate = "[{{title}}]({{url}})",
     plainTextTemplate = "{{title}} - {{url}}",
-    groupByDomain = false,
+    headerTemplate = "",
+    footerTemplate = "",
+    itemSeparator = "\\n",
+    trailingNewline = false,
+    lineEnding = "lf",
+    linkRules = null,
+    titleRules = null,
+    groupStyle = "heading",
+    groupHeaderTemplate = "{{group}}",
+    groupSpacing = 1,
   } = options;
+  const linkContent = getLinkContent(options);
 
   if (!tabs || tabs.length === 0) {
     return "";
   }
 
-  // If no title to include and we can't use URLs in the template, return empty string
-  if (!includeTitles) {
-    return "";
+  // Tabular and data output use the same titles as the other modes
+  const context = { linkRules, titleRules };
+
+  // Data output picks its own fields and has no header or footer
+  if (outputMode === "csv" || outputMode === "tsv" || outputMode === "json") {
+    const flatTabs = flattenTabGroups(tabs);
+    const body =
+      outputMode === "json"
+        ? formatTabsAsJson(tabs, {
+            pretty: jsonPretty,
+            shape: jsonShape,
+            folder,
+            context,
+          })
+        : formatTabsAsDelimited(flatTabs, {
+            delimiter: outputMode === "csv" ? "," : "\t",
+            columns: tabularColumns,
+            headerRow: tabularHeaderRow,
+            context,
+          });
+
+    return wrapDocument(body, {
+      headerTemplate: "",
+      footerTemplate: "",
+      trailingNewline,
+      lineEnding,
+      count: flatTabs.length,
+      now: new Date(),
+    });
   }
 
-  // Handle domain groups if groupByDomain is true
-  if (groupByDomain && tabs[0] && tabs[0].domain) {
-    return tabs
-      .map((group) => {
-        const domainHeader = formatMarkdown
-          ? `## ${group.domain || "Unknown Domain"}\n\n`
-          : `${group.domain || "Unknown Domain"}\n\n`;
-
-        const formattedTabs = group.tabs
-          .map((tab) =>
-            formatSingleTab(
-              tab,
-              includeTitles,
-              formatMarkdown,
-              formatTemplate,
-              plainTextTemplate
-            )
-          )
-          .join("\n");
-
-        return `${domainHeader}${formattedTabs}`;
-      })
-      .join("\n\n");
+  if (outputMode === "markdownTable") {
+    return wrapDocument(
+      formatTabsAsMarkdownTable(tabs, {
+        columns: tabularColumns,
+        groupStyle: tableGroupStyle,
+        groupHeaderTemplate,
+        context,
+      }),
+      {
+        headerTemplate,
+        footerTemplate,
+        trailingNewline,
+        lineEnding,
+        count: flattenTabGroups(tabs).length,
+        now: new Date(),
+      }
+    );
   }
 
-  // Regular tab formatting
-  return tabs
-    .map((tab) =>
-      formatSingleTab(
-        tab,
-        includeTitles,
-        formatMarkdown,
-        formatTemplate,
-        plainTextTemplate
+  const markup = MARKUP_FORMATS[outputMode];
+  const templates = getLinkContentTemplates(linkContent, options);
+
+  // Shared by every tab so {{date}} and {{time}} match across the output
+  const now = new Date();
+  const separator = decodeEscapes(itemSeparator);
+  let index = 0;
+  let body;
+
+  const renderTab = (tab) => {
+    const tabContext = { ...context, index: index++, now };
+    return markup
+      ? formatMarkupTab(tab, markup, linkContent, tabContext)
+      : formatSingleTab(
+          tab,
+          true,
+          formatMarkdown,
+          templates.formatTemplate,
+          templates.plainTextTemplate,
+          tabContext
+        );
+  };
+
+  const renderList = (items) =>
+    markup && markup.wrapList ? markup.wrapList(items) : items;
+
+  const renderHeading = (text) => {
+    if (markup) {
+      return markup.heading(text);
+    }
+    return formatMarkdown ? `## ${text}` : text;
+  };
+
+  // Nested groups become list items with their tabs indented under them
+  const renderNestedGroup = (text, items) => {
+    if (markup) {
+      return markup.nest(text, items, separator);
+    }
+    const children = items.map((item) => {
+      const child =
+        formatMarkdown && !LIST_MARKER.test(item) ? `- ${item}` : item;
+      return `  ${child.replace(/\n/g, "\n  ")}`;
+    });
+    return `- ${text}\n${children.join(separator)}`;
+  };
+
+  if (isGroupedTabs(tabs)) {
+    const groupGap = "\n".repeat(Math.max(0, Number(groupSpacing) || 0) + 1);
+    const groups = tabs.map((group) => {
+      const header = formatGroupHeader(group, groupHeaderTemplate);
+      const items = group.tabs.map(renderTab);
+
+      return groupStyle === "nestedList"
+        ? renderNestedGroup(header, items)
+        : `${renderHeading(header)}\n\n${renderList(items.join(separator))}`;
+    });
+
+    // A nested list is one list, so markup that wraps lists wraps it once
+    body =
+      groupStyle === "nestedList"
+        ? renderList(groups.join(groupGap))
+        : groups.join(groupGap);
+  } else {
+    // Regular tab formatting
+    body = renderList(tabs.map(renderTab).join(separator));
+  }
+
+  return wrapDocument(body, {
+    headerTemplate,
+    footerTemplate,
+    trailingNewline,
+    lineEnding,
+    count: index,
+    now,
+  });
+}
+
+/**
+ * Picks the Markdown and plain text templates for a link content mode
+ * @param {string} linkContent - Key of LINK_CONTENT_MODES
+ * @param {Object} options - Formatting options holding the templates
+ * @returns {{formatTemplate: string, plainTextTemplate: string}} - Templates
+ */
+function getLinkContentTemplates(linkContent, options) {
+  const { templateKey, defaultTemplate } = LINK_CONTENT_MODES[linkContent];
+  if (templateKey) {
+    // One template serves both, Markdown output only adds escaping
+    const template = options[templateKey] || defaultTemplate;
+    return { formatTemplate: template, plainTextTemplate: template };
+  }
+
+  return {
+    formatTemplate: options.formatTemplate || "[{{title}}]({{url}})",
+    plainTextTemplate: options.plainTextTemplate || "{{title}} - {{url}}",
+  };
+}
+
+/**
+ * Adds the header and footer around formatted output and applies
+ * the line ending options
+ * @param {string} body - Formatted tabs
+ * @param {Object} options - Document options
+ * @returns {string} - Complete document text
+ */
+function wrapDocument(body, options) {
+  const { headerTemplate, footerTemplate, trailingNewline, lineEnding } =
+    options;
+
+  // Header and footer only know about the document, not individual tabs
+  const documentData = {
+    count: String(options.count),
+    date: (pattern) => formatDate(options.now, pattern || "YYYY-MM-DD"),
+    time: (pattern) => formatDate(options.now, pattern || "HH:mm"),
+  };
+
+  const parts = [];
+  if (headerTemplate) {
+    parts.push(formatWithTemplate(decodeEscapes(headerTemplate), documentData));
+  }
+  parts.push(body);
+  if (footerTemplate) {
+    parts.push(formatWithTemplate(decodeEscapes(footerTemplate), documentData));
+  }
+
+  let output = parts.join("\n");
+  if (trailingNewline) {
+    output += "\n";
+  }
+
+  return lineEnding === "crlf" ? output.replace(/\r?\n/g, "\r\n") : output;
+}
+
+/**
+ * Format tabs as HTML for rich clipboard output
+ * @param {Array} tabs - Array of tab objects, or groups
+ * @param {Object} options - Formatting options
+ * @param {string} [options.richTextMode] - "list" for an anchor list, "table" for a table
+ * @param {string} [options.linkContent] - Key of LINK_CONTENT_MODES
+ * @param {Array} [options.linkRules] - Rules that can replace the link text
+ * @param {Object} [options.titleRules] - Title cleanup settings
+ * @param {string} [options.groupStyle] - "heading" or "nestedList"
+ * @param {string} [options.groupHeaderTemplate] - Template for group headers
+ * @returns {string} - HTML markup
+ */
+export function formatTabsAsHtml(tabs, options = {}) {
+  const {
+    richTextMode = "list",
+    linkRules = null,
+    titleRules = null,
+    groupStyle = "heading",
+    groupHeaderTemplate = "{{group}}",
+  } = options;
+  const linkContent = getLinkContent(options);
+
+  if (!tabs || tabs.length === 0) {
+    return "";
+  }
+
+  const isGrouped = isGroupedTabs(tabs);
+  const groups = isGrouped ? tabs : [{ label: null, tabs }];
+
+  const link = (tab) => {
+    const url = tab.url || "";
+    const title = getTabTemplateData(tab, { linkRules, titleRules }).title;
+    const text = linkContent !== "urlOnly" && title ? title : url;
+    // Title only output keeps the title as plain text, without a link
+    if (linkContent === "titleOnly") {
+      return escapeHtml(text);
+    }
+    return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+  };
+
+  if (richTextMode === "table") {
+    const groupHeader = isGrouped
+      ? `<th>${GROUP_COLUMN_LABELS[tabs[0].type] || "Group"}</th>`
+      : "";
+    const rows = groups
+      .flatMap((group) =>
+        group.tabs.map((tab) => {
+          const groupCell = isGrouped
+            ? `<td>${escapeHtml(group.label)}</td>`
+            : "";
+          return `<tr>${groupCell}<td>${link(tab)}</td><td>${escapeHtml(
+            tab.url || ""
+          )}</td></tr>`;
+        })
       )
-    )
-    .join("\n");
+      .join("");
+
+    return `<table><thead><tr>${groupHeader}<th>Title</th><th>URL</th></tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  const renderedGroups = groups.map((group) => {
+    const items = group.tabs.map((tab) => `<li>${link(tab)}</li>`).join("");
+    if (!isGrouped) {
+      return `<ul>${items}</ul>`;
+    }
+
+    // Tab groups are marked with their color, as in the tab strip
+    const header = escapeHtml(formatGroupHeader(group, groupHeaderTemplate));
+    const color = TAB_GROUP_COLORS[group.color];
+    if (groupStyle === "nestedList") {
+      const style = color ? ` style="color: ${color}"` : "";
+      return `<li><span${style}>${header}</span><ul>${items}</ul></li>`;
+    }
+    const style = color
+      ? ` style="border-left: 4px solid ${color}; padding-left: 6px"`
+      : "";
+    return `<h3${style}>${header}</h3><ul>${items}</ul>`;
+  });
+
+  return isGrouped && groupStyle === "nestedList"
+    ? `<ul>${renderedGroups.join("")}</ul>`
+    : renderedGroups.join("");
 }
 
 /**
@@ -138,6 +1360,7 @@ export function formatTabs(tabs, options = {}) {
  * @param {boolean} formatMarkdown - Whether to format as Markdown
  * @param {string} formatTemplate - Template for Markdown formatting
  * @param {string} plainTextTemplate - Template for plain text formatting
+ * @param {Object} context - Formatting context passed to getTabTemplateData
  * @returns {string} - Formatted tab text
  */
 export function formatSingleTab(
@@ -145,35 +1368,32 @@ export function formatSingleTab(
   includeTitles,
   formatMarkdown,
   formatTemplate,
-  plainTextTemplate
+  plainTextTemplate,
+  context = {}
 ) {
-  // Prepare tab data
-  const title = tab.title || "";
-  const url = tab.url || "";
-
-  // For the format example display, always include a full example
-  if (url === "https://example.com") {
-    // This is the example tab, always show a complete example
-    if (formatMarkdown) {
-      return formatWithTemplate(formatTemplate, { title, url });
-    } else {
-      return formatWithTemplate(plainTextTemplate, { title, url });
-    }
+  // Prepare tab data, falling back to the URL for untitled tabs like the
+  // markup modes do, so no entry comes out as [](url) or a blank line
+  const data = getTabTemplateData(tab, context);
+  const url = data.url;
+  if (!data.title) {
+    data.title = url;
   }
 
   // Only include title if requested, but always include URL
   if (!includeTitles) {
     // Return formatted URL if titles should not be included
-    return formatMarkdown ? `<${url}>` : url;
+    return formatMarkdown ? `<${escapeMarkdownUrl(url)}>` : url;
   }
 
   // Format according to selected format
   if (formatMarkdown) {
-    // Use the Markdown template
-    return formatWithTemplate(formatTemplate, { title, url });
+    // Use the Markdown template, escaping values that sit inside links
+    return formatWithTemplate(formatTemplate, data, {
+      escape: createMarkdownEscape(formatTemplate),
+    });
   } else {
     // Use the plain text template
-    return formatWithTemplate(plainTextTemplate, { title, url });
+    return formatWithTemplate(plainTextTemplate, data);
   }
 }
 
@@ -183,23 +1403,165 @@ export function formatSingleTab(
  * @returns {string} - Example formatted text
  */
 export function generateFormatExample(options = {}) {
-  const {
-    includeTitles = true,
-    formatMarkdown = true,
-    formatTemplate = "[{{title}}]({{url}})",
-    plainTextTemplate = "{{title}} - {{url}}",
-  } = options;
+  const { outputMode = "template", formatMarkdown = true } = options;
+  const templates = getLinkContentTemplates(getLinkContent(options), options);
 
   const sampleTab = {
     title: "Example Website",
     url: "https://example.com",
+    index: 0,
+    favIconUrl: "https://example.com/favicon.ico",
+    pinned: false,
+    groupTitle: "Research",
   };
 
+  // Modes that format whole documents show a document with the sample tab
+  if (outputMode !== "template") {
+    return formatTabs([sampleTab], { ...options, trailingNewline: false });
+  }
+
   return formatSingleTab(
     sampleTab,
-    includeTitles,
+    true,
     formatMarkdown,
-    formatTemplate,
-    plainTextTemplate
+    templates.formatTemplate,
+    templates.plainTextTemplate,
+    { index: 0 }
   );
 }
+
+/**
+ * Counts the single-character edits needed to turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known name closest to a misspelt one
+ * @param {string} name - Unknown name
+ * @param {string[]} knownNames - Valid names
+ * @returns {string|null} - Suggestion, or null if nothing is close
+ */
+function suggestName(name, knownNames) {
+  const lowerName = name.toLowerCase();
+  let best = null;
+  let bestDistance = 3;
+  knownNames.forEach((known) => {
+    const distance = editDistance(lowerName, known.toLowerCase());
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Checks a format template for mistakes that would show up as literal
+ * text in copied output
+ * @param {string} template - Template to check
+ * @returns {Array<{level: string, message: string}>} - Problems found, "error"
+ * level ones should stop the template from being saved
+ */
+export function validateTemplate(template) {
+  const text = String(template || "");
+  if (!text.trim()) {
+    return [{ level: "error", message: "Template is empty" }];
+  }
+
+  const knownKeys = TEMPLATE_PLACEHOLDERS.map(
+    (placeholder) => placeholder.text.match(/^\{\{(\w+)/)[1]
+  );
+  const knownFilters = Object.keys(TEMPLATE_FILTERS);
+  const messages = new Map();
+  const addIssue = (level, message) => messages.set(message, level);
+  let hasUrl = false;
+
+  const remainder = text.replace(/\{\{([^{}]+)\}\}/g, (match, expression) => {
+    const placeholder = parsePlaceholder(expression);
+    if (!placeholder) {
+      addIssue("error", `${match} is not a valid placeholder`);
+      return "";
+    }
+
+    if (!knownKeys.includes(placeholder.key)) {
+      const suggestion = suggestName(placeholder.key, knownKeys);
+      addIssue(
+        "error",
+        `Unknown placeholder {{${placeholder.key}}}` +
+          (suggestion ? `, did you mean {{${suggestion}}}?` : "")
+      );
+    }
+
+    placeholder.filters.forEach((filter) => {
+      if (!knownFilters.includes(filter.name)) {
+        const suggestion = suggestName(filter.name, knownFilters);
+        addIssue(
+          "error",
+          `Unknown filter |${filter.name}` +
+            (suggestion ? `, did you mean |${suggestion}?` : "")
+        );
+      }
+    });
+
+    if (placeholder.key === "url") {
+      hasUrl = true;
+    }
+    return "";
+  });
+
+  if (remainder.includes("{{")) {
+    addIssue("error", "Unclosed {{, every {{ needs a matching }}");
+  }
+  if (remainder.includes("}}")) {
+    addIssue("error", "}} without a matching {{");
+  }
+  if (!hasUrl) {
+    addIssue("warning", "No {{url}} placeholder, links won't include the URL");
+  }
+
+  return Array.from(messages, ([message, level]) => ({ level, message }));
+}
+
+/**
+ * Formats a few tabs with a template, for previewing it while editing
+ * @param {Array} tabs - Tabs to preview with
+ * @param {string} template - Template to preview
+ * @param {boolean} formatMarkdown - Whether it is a Markdown template
+ * @param {Object} [options] - Preview options
+ * @param {number} [options.limit] - Maximum number of tabs to format
+ * @param {Array} [options.linkRules] - Rules that can replace {{title}}
+ * @param {Object} [options.titleRules] - Title cleanup settings
+ * @returns {string} - One formatted line per tab
+ */
+export function previewTemplate(tabs, template, formatMarkdown, options = {}) {
+  const { limit = 3, linkRules = null, titleRules = null } = options;
+  const now = new Date();
+  return tabs
+    .slice(0, limit)
+    .map((tab, index) =>
+      formatSingleTab(tab, true, formatMarkdown, template, template, {
+        index,
+        now,
+        linkRules,
+        titleRules,
+      })
+    )
+    .join("\n");
+}
@@ -0,0 +1,219 @@
+/**
+ * title-rules.js - Rewrites page titles before they are copied or saved
+ */
+
+import { loadFromStorage, saveToStorage, generateUniqueId } from "./utils.js";
+
+/**
+ * Suffixes and prefixes that common sites add to their page titles
+ * A rule with an empty domain applies to every site.
+ * @type {Array<{id: string, name: string, domain: string, find: string, replace: string}>}
+ */
+export const BUILT_IN_TITLE_RULES = [
+  {
+    id: "github",
+    name: "GitHub",
+    domain: "github.com",
+    find: "\\s+·\\s+GitHub$",
+    replace: "",
+  },
+  {
+    id: "youtube",
+    name: "YouTube",
+    domain: "youtube.com",
+    find: "^\\(\\d+\\)\\s+|\\s+-\\s+YouTube$",
+    replace: "",
+  },
+  {
+    id: "stackoverflow",
+    name: "Stack Overflow",
+    domain: "stackoverflow.com",
+    find: "\\s+-\\s+Stack Overflow$",
+    replace: "",
+  },
+  {
+    id: "wikipedia",
+    name: "Wikipedia",
+    domain: "wikipedia.org",
+    find: "\\s+-\\s+Wikipedia$",
+    replace: "",
+  },
+  {
+    id: "reddit",
+    name: "Reddit",
+    domain: "reddit.com",
+    find: "\\s+:\\s+r/\\w+$|\\s+-\\s+Reddit$",
+    replace: "",
+  },
+  {
+    id: "jira",
+    name: "Jira",
+    domain: "",
+    find: "\\s+-\\s+(?:[\\w .]+\\s+)?Jira$",
+    replace: "",
+  },
+  {
+    id: "google-workspace",
+    name: "Google Docs, Sheets, Slides and Drive",
+    domain: "google.com",
+    find: "\\s+-\\s+Google (?:Docs|Sheets|Slides|Drive)$",
+    replace: "",
+  },
+  {
+    id: "medium",
+    name: "Medium",
+    domain: "medium.com",
+    find: "\\s+\\|\\s+(?:by .+?\\s+\\|\\s+)?Medium$",
+    replace: "",
+  },
+  {
+    id: "x",
+    name: "X (Twitter)",
+    domain: "x.com",
+    find: "\\s+/\\s+X$",
+    replace: "",
+  },
+];
+
+/**
+ * Default title rule settings
+ */
+export const DEFAULT_TITLE_RULES = {
+  enabled: true,
+  // IDs of built-in rules the user turned off
+  disabledBuiltIns: [],
+  // [{ id, domain, find, replace, enabled }], applied after the built-ins
+  rules: [],
+  // Whether folders store cleaned titles
+  applyToFolders: false,
+};
+
+// Compiled patterns, so each rule is only parsed once
+const patternCache = new Map();
+
+/**
+ * Compiles a find pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} - Compiled pattern, or null if it is invalid
+ */
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    try {
+      patternCache.set(pattern, new RegExp(pattern, "gi"));
+    } catch (error) {
+      console.warn(`Invalid title rule pattern: ${pattern}`, error);
+      patternCache.set(pattern, null);
+    }
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Checks whether a URL belongs to a rule's domain or one of its subdomains
+ * @param {string} url - Tab URL
+ * @param {string} domain - Domain from a rule, empty for every site
+ * @returns {boolean} - Whether the rule applies to the URL
+ */
+function matchesRuleDomain(url, domain) {
+  const target = (domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\./, "");
+  if (!target) return true;
+
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return hostname === target || hostname.endsWith(`.${target}`);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks a find pattern before it is saved
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} - Error message, or null if the pattern is valid
+ */
+export function validateTitleRulePattern(pattern) {
+  if (!pattern || !pattern.trim()) {
+    return "Pattern is empty";
+  }
+  try {
+    new RegExp(pattern, "gi");
+    return null;
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+}
+
+/**
+ * Gets the rules that are switched on, built-ins first
+ * @param {Object} settings - Title rule settings
+ * @returns {Array} - Rules in the order they are applied
+ */
+function getActiveRules(settings) {
+  const disabled = settings.disabledBuiltIns || [];
+  return [
+    ...BUILT_IN_TITLE_RULES.filter((rule) => !disabled.includes(rule.id)),
+    ...(settings.rules || []).filter((rule) => rule.enabled),
+  ];
+}
+
+/**
+ * Rewrites a page title with every rule that applies to its URL
+ * @param {string} title - Page title
+ * @param {string} url - Page URL
+ * @param {Object} [settings] - Title rule settings, see DEFAULT_TITLE_RULES
+ * @returns {string} - Cleaned title, or the original if nothing is left
+ */
+export function applyTitleRules(title, url, settings) {
+  if (!title || !settings || !settings.enabled) return title;
+
+  let result = title;
+  getActiveRules(settings)
+    .filter((rule) => matchesRuleDomain(url, rule.domain))
+    .forEach((rule) => {
+      const regex = compilePattern(rule.find);
+      if (regex) {
+        result = result.replace(regex, rule.replace || "");
+      }
+    });
+
+  // Never turn a title into nothing
+  return result.trim() || title;
+}
+
+/**
+ * Creates a new enabled user rule
+ * @param {string} domain - Domain the rule applies to, empty for every site
+ * @param {string} find - Regular expression to find in the title
+ * @param {string} replace - Replacement text, $1 etc. insert groups
+ * @returns {Object} - Title rule
+ */
+export function createTitleRule(domain, find, replace) {
+  return {
+    id: generateUniqueId("title_"),
+    domain: domain.trim().toLowerCase(),
+    find,
+    replace,
+    enabled: true,
+  };
+}
+
+/**
+ * Loads title rule settings from storage
+ * @returns {Promise<Object>} - Settings with defaults filled in
+ */
+export async function loadTitleRules() {
+  const result = await loadFromStorage(["titleRules"]);
+  return { ...DEFAULT_TITLE_RULES, ...(result.titleRules || {}) };
+}
+
+/**
+ * Saves title rule settings to storage
+ * @param {Object} settings - Title rule settings
+ * @returns {Promise<void>}
+ */
+export async function saveTitleRules(settings) {
+  return saveToStorage({ titleRules: settings });
+}
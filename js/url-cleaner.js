@@ -0,0 +1,272 @@
+/**
+ * url-cleaner.js - Removes tracking junk from URLs before they are copied
+ */
+
+import { loadFromStorage, saveToStorage, generateUniqueId } from "./utils.js";
+
+/**
+ * Query parameters removed from every URL
+ * A trailing * matches any parameter starting with the text before it.
+ * @type {string[]}
+ */
+export const DEFAULT_TRACKING_PARAMS = [
+  "utm_*",
+  "fbclid",
+  "gclid",
+  "gclsrc",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "twclid",
+  "ttclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "vero_id",
+  "oly_anon_id",
+  "oly_enc_id",
+];
+
+/**
+ * Query parameters only removed on the sites known to use them for tracking
+ * Names like ref and si are real parameters elsewhere, GitHub uses ?ref= for
+ * branches, so they can't be in the list above.
+ * @type {Array<{domain: string, params: string[]}>}
+ */
+export const DEFAULT_DOMAIN_TRACKING_PARAMS = [
+  { domain: "youtube.com", params: ["si"] },
+  { domain: "youtu.be", params: ["si"] },
+  { domain: "spotify.com", params: ["si"] },
+  { domain: "twitter.com", params: ["ref_src", "ref_url"] },
+  { domain: "x.com", params: ["ref_src", "ref_url"] },
+  { domain: "aliexpress.com", params: ["spm"] },
+  { domain: "alibaba.com", params: ["spm"] },
+  { domain: "taobao.com", params: ["spm"] },
+  { domain: "tmall.com", params: ["spm"] },
+];
+
+/**
+ * Default cleaning settings
+ */
+export const DEFAULT_URL_CLEANING = {
+  enabled: true,
+  stripTracking: true,
+  dropFragments: false,
+  unwrapRedirects: true,
+  // [{ id, domain, params: ["name", "prefix*"] }]
+  domainRules: [],
+};
+
+/**
+ * Link wrappers that hide the real destination in a query parameter
+ * @type {Array<{host: RegExp, path?: RegExp, params: string[]}>}
+ */
+const REDIRECT_WRAPPERS = [
+  { host: /(^|\.)google\.[a-z.]+$/, path: /^\/url$/, params: ["q", "url"] },
+  { host: /^(l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ["u"] },
+  { host: /(^|\.)safelinks\.protection\.outlook\.com$/, params: ["url"] },
+  { host: /^out\.reddit\.com$/, params: ["url"] },
+  { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ["q"] },
+];
+
+// Stop unwrapping after this many nested redirects
+const MAX_UNWRAP_DEPTH = 3;
+
+/**
+ * Checks a parameter name against a list of names and prefix* patterns
+ * @param {string} name - Query parameter name
+ * @param {string[]} patterns - Names to remove
+ * @returns {boolean} - Whether the parameter matches
+ */
+function matchesParam(name, patterns) {
+  const lowerName = name.toLowerCase();
+  return patterns.some((pattern) => {
+    const lowerPattern = pattern.trim().toLowerCase();
+    return lowerPattern.endsWith("*")
+      ? lowerName.startsWith(lowerPattern.slice(0, -1))
+      : lowerName === lowerPattern;
+  });
+}
+
+/**
+ * Checks whether a hostname is a domain or one of its subdomains
+ * @param {string} hostname - URL hostname
+ * @param {string} domain - Domain from a rule
+ * @returns {boolean} - Whether the hostname belongs to the domain
+ */
+function matchesDomain(hostname, domain) {
+  const target = domain
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\./, "");
+  return hostname === target || hostname.endsWith(`.${target}`);
+}
+
+/**
+ * Gets the destination of a redirect wrapper URL
+ * @param {URL} parsedUrl - Parsed URL
+ * @returns {string|null} - Wrapped URL, or null if this isn't a wrapper
+ */
+function getRedirectTarget(parsedUrl) {
+  const wrapper = REDIRECT_WRAPPERS.find(
+    (w) =>
+      w.host.test(parsedUrl.hostname) &&
+      (!w.path || w.path.test(parsedUrl.pathname))
+  );
+  if (!wrapper) return null;
+
+  for (const param of wrapper.params) {
+    const target = parsedUrl.searchParams.get(param);
+    if (target && /^https?:\/\//i.test(target)) {
+      return target;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cleans a single URL
+ * Non-web and unparsable URLs are returned unchanged.
+ * @param {string} url - URL to clean
+ * @param {Object} [settings] - Cleaning settings, see DEFAULT_URL_CLEANING
+ * @returns {string} - Cleaned URL
+ */
+export function cleanUrl(url, settings = DEFAULT_URL_CLEANING) {
+  const options = { ...DEFAULT_URL_CLEANING, ...settings };
+  if (!url || !options.enabled) return url;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+    return url;
+  }
+
+  if (options.unwrapRedirects) {
+    for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+      const target = getRedirectTarget(parsedUrl);
+      if (!target) break;
+      try {
+        parsedUrl = new URL(target);
+      } catch (error) {
+        break;
+      }
+    }
+  }
+
+  // Build the parameter list for this host
+  const hostname = parsedUrl.hostname.toLowerCase();
+  const removeParams = options.stripTracking
+    ? [...DEFAULT_TRACKING_PARAMS]
+    : [];
+  [
+    ...(options.stripTracking ? DEFAULT_DOMAIN_TRACKING_PARAMS : []),
+    ...(options.domainRules || []),
+  ]
+    .filter((rule) => rule.domain && matchesDomain(hostname, rule.domain))
+    .forEach((rule) => removeParams.push(...(rule.params || [])));
+
+  if (removeParams.length > 0 && parsedUrl.search) {
+    // Collect names first, deleting while iterating skips entries
+    const names = [...new Set(parsedUrl.searchParams.keys())];
+    names
+      .filter((name) => matchesParam(name, removeParams))
+      .forEach((name) => parsedUrl.searchParams.delete(name));
+  }
+
+  if (options.dropFragments) {
+    parsedUrl.hash = "";
+  }
+
+  return parsedUrl.toString();
+}
+
+/**
+ * Returns copies of tabs with cleaned URLs
+ * @param {Array} tabs - Tab objects with a url property
+ * @param {Object} [settings] - Cleaning settings
+ * @returns {Array} - Tabs with cleaned URLs
+ */
+export function cleanTabUrls(tabs, settings) {
+  return tabs.map((tab) => ({ ...tab, url: cleanUrl(tab.url, settings) }));
+}
+
+/**
+ * Normalizes a URL for spotting duplicate tabs
+ * Host case, trailing slashes and fragments are ignored, and tracking
+ * parameters are removed when cleaning is turned on.
+ * @param {string} url - URL to normalize
+ * @param {Object} [settings] - Cleaning settings
+ * @returns {string} - Key that is equal for duplicate URLs
+ */
+export function getUrlDedupKey(url, settings = DEFAULT_URL_CLEANING) {
+  const options = { ...DEFAULT_URL_CLEANING, ...settings };
+  const cleaned = options.enabled ? cleanUrl(url, options) : url;
+
+  try {
+    const parsedUrl = new URL(cleaned);
+    parsedUrl.hash = "";
+    if (parsedUrl.pathname.length > 1) {
+      parsedUrl.pathname = parsedUrl.pathname.replace(/\/+$/, "");
+    }
+    return parsedUrl.toString();
+  } catch (error) {
+    return (cleaned || "").trim();
+  }
+}
+
+/**
+ * Removes tabs whose URL duplicates an earlier tab's, keeping the first
+ * @param {Array} tabs - Tab objects with a url property
+ * @param {Object} [settings] - Cleaning settings used to normalize URLs
+ * @returns {Array} - Tabs without duplicates, in their original order
+ */
+export function removeDuplicateTabs(tabs, settings) {
+  const seen = new Set();
+  return tabs.filter((tab) => {
+    const key = getUrlDedupKey(tab.url || "", settings);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Creates a per-domain parameter rule
+ * @param {string} domain - Domain the rule applies to, including subdomains
+ * @param {string[]} params - Parameter names or prefix* patterns
+ * @returns {Object} - Domain rule
+ */
+export function createDomainRule(domain, params) {
+  return {
+    id: generateUniqueId("clean_"),
+    domain: domain.trim().toLowerCase(),
+    params: params.map((param) => param.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Loads URL cleaning settings from storage
+ * @returns {Promise<Object>} - Settings with defaults filled in
+ */
+export async function loadUrlCleaningSettings() {
+  const result = await loadFromStorage(["urlCleaning"]);
+  return { ...DEFAULT_URL_CLEANING, ...(result.urlCleaning || {}) };
+}
+
+/**
+ * Saves URL cleaning settings to storage
+ * @param {Object} settings - Cleaning settings
+ * @returns {Promise<void>}
+ */
+export async function saveUrlCleaningSettings(settings) {
+  return saveToStorage({ urlCleaning: settings });
+}
@@ -0,0 +1,238 @@
+/**
+ * url-filters.js - Decides which tabs may be copied or saved by their URL
+ */
+
+import { loadFromStorage, saveToStorage, generateUniqueId } from "./utils.js";
+
+/**
+ * Kinds of pattern a filter rule can use
+ * @type {Object<string, {label: string, placeholder: string}>}
+ */
+export const URL_FILTER_TYPES = {
+  domain: { label: "Domain", placeholder: "intranet.example.com" },
+  glob: { label: "Wildcard", placeholder: "http://localhost:*" },
+  regex: { label: "Regex", placeholder: "^https?://10\\.\\d+" },
+};
+
+/**
+ * Browser pages that never make sense in a shared list
+ * These are the default exclude rules and can be edited like any other.
+ * @type {string[]}
+ */
+export const BROWSER_URL_PATTERNS = [
+  "about:*",
+  "browser://*",
+  "chrome://*",
+  "chrome-extension://*",
+  "edge://*",
+  "brave://*",
+  "opera://*",
+  "vivaldi://*",
+  "moz-extension://*",
+];
+
+/**
+ * Creates the default rules, one exclude rule per browser URL pattern
+ * @returns {Array} - Filter rules
+ */
+export function getDefaultUrlFilterRules() {
+  return BROWSER_URL_PATTERNS.map((pattern) => ({
+    id: `default_${pattern.replace(/[^a-z-]/g, "")}`,
+    type: "glob",
+    pattern,
+    action: "exclude",
+    enabled: true,
+  }));
+}
+
+/**
+ * Default filter settings
+ */
+export const DEFAULT_URL_FILTERS = {
+  enabled: true,
+  // [{ id, type: "domain"|"glob"|"regex", pattern, action: "include"|"exclude", enabled }]
+  rules: getDefaultUrlFilterRules(),
+};
+
+// Compiled patterns, so each rule is only parsed once
+const patternCache = new Map();
+
+/**
+ * Turns a wildcard pattern into a regular expression
+ * * matches any run of characters and ? a single character.
+ * @param {string} pattern - Wildcard pattern
+ * @returns {string} - Regular expression source
+ */
+function globToRegexSource(pattern) {
+  return `^${pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+    })
+    .join("")}$`;
+}
+
+/**
+ * Compiles a rule's pattern
+ * @param {string} type - Rule type
+ * @param {string} pattern - Pattern from the rule
+ * @returns {RegExp|null} - Compiled pattern, or null if it is invalid
+ */
+function compilePattern(type, pattern) {
+  const key = `${type}:${pattern}`;
+  if (!patternCache.has(key)) {
+    try {
+      const source = type === "glob" ? globToRegexSource(pattern) : pattern;
+      patternCache.set(key, new RegExp(source, "i"));
+    } catch (error) {
+      console.warn(`Invalid URL filter pattern: ${pattern}`, error);
+      patternCache.set(key, null);
+    }
+  }
+  return patternCache.get(key);
+}
+
+/**
+ * Checks a rule before it is saved
+ * @param {string} type - Rule type
+ * @param {string} pattern - Pattern from the rule
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+export function validateUrlFilterRule(type, pattern) {
+  if (!URL_FILTER_TYPES[type]) {
+    return `Unknown rule type: ${type}`;
+  }
+  if (!pattern || !pattern.trim()) {
+    return "Pattern is empty";
+  }
+  if (type === "regex") {
+    try {
+      new RegExp(pattern, "i");
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a URL matches a rule's pattern
+ * Wildcards without a scheme also match the URL with its scheme removed,
+ * so *.example.com/* works without spelling out https://.
+ * @param {string} url - Tab URL
+ * @param {Object} rule - Filter rule
+ * @returns {boolean} - Whether the URL matches
+ */
+export function urlMatchesRule(url, rule) {
+  const pattern = (rule.pattern || "").trim();
+  if (!url || !pattern) return false;
+
+  if (rule.type === "domain") {
+    const target = pattern.toLowerCase().replace(/^\*?\./, "");
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      return hostname === target || hostname.endsWith(`.${target}`);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  const regex = compilePattern(rule.type, pattern);
+  if (!regex) return false;
+  if (regex.test(url)) return true;
+
+  return (
+    rule.type === "glob" &&
+    !pattern.includes(":") &&
+    regex.test(url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, ""))
+  );
+}
+
+/**
+ * Checks whether a URL may be copied or saved
+ * When any include rules are on, a URL must match one of them, and a
+ * matching exclude rule always wins.
+ * @param {string} url - Tab URL
+ * @param {Object} [settings] - Filter settings, see DEFAULT_URL_FILTERS
+ * @returns {boolean} - Whether the URL is allowed
+ */
+export function isUrlAllowed(url, settings = DEFAULT_URL_FILTERS) {
+  if (!url) return false;
+  if (!settings || !settings.enabled) return true;
+
+  const rules = (settings.rules || []).filter((rule) => rule.enabled);
+  const includeRules = rules.filter((rule) => rule.action === "include");
+  if (
+    includeRules.length > 0 &&
+    !includeRules.some((rule) => urlMatchesRule(url, rule))
+  ) {
+    return false;
+  }
+
+  return !rules.some(
+    (rule) => rule.action === "exclude" && urlMatchesRule(url, rule)
+  );
+}
+
+/**
+ * Removes tabs whose URL the filter rules don't allow
+ * @param {Array} tabs - Tab objects with a url property
+ * @param {Object} [settings] - Filter settings
+ * @returns {Array} - Allowed tabs, in their original order
+ */
+export function filterTabsByUrl(tabs, settings) {
+  return tabs.filter((tab) => isUrlAllowed(tab.url, settings));
+}
+
+/**
+ * Checks whether a URL is a browser page scripts can't run in
+ * This ignores the user's rules, it is only about what the browser allows.
+ * @param {string} url - Tab URL
+ * @returns {boolean} - Whether the URL is a browser page
+ */
+export function isBrowserUrl(url) {
+  return (
+    !url ||
+    BROWSER_URL_PATTERNS.some((pattern) =>
+      urlMatchesRule(url, { type: "glob", pattern })
+    )
+  );
+}
+
+/**
+ * Creates a new enabled filter rule
+ * @param {string} type - "domain", "glob" or "regex"
+ * @param {string} pattern - Pattern to match URLs against
+ * @param {string} action - "include" or "exclude"
+ * @returns {Object} - Filter rule
+ */
+export function createUrlFilterRule(type, pattern, action) {
+  const trimmed = pattern.trim();
+  return {
+    id: generateUniqueId("filter_"),
+    type,
+    pattern: type === "domain" ? trimmed.toLowerCase() : trimmed,
+    action: action === "include" ? "include" : "exclude",
+    enabled: true,
+  };
+}
+
+/**
+ * Loads URL filter settings from storage
+ * @returns {Promise<Object>} - Settings with defaults filled in
+ */
+export async function loadUrlFilters() {
+  const result = await loadFromStorage(["urlFilters"]);
+  return { ...DEFAULT_URL_FILTERS, ...(result.urlFilters || {}) };
+}
+
+/**
+ * Saves URL filter settings to storage
+ * @param {Object} settings - Filter settings
+ * @returns {Promise<void>}
+ */
+export async function saveUrlFilters(settings) {
+  return saveToStorage({ urlFilters: settings });
+}
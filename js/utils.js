@@ -127,20 +127,211 @@ export function createElement(tag, attributes = {}, styles = {}, content = "") {
   return element;
 }
 
+/**
+ * Escapes text for safe use inside HTML markup and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Escapes characters that Markdown would otherwise interpret
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]|<>]/g, "\\$&");
+}
+
+/**
+ * Makes a URL safe to use as a Markdown link destination by
+ * percent-encoding characters that end or break the link
+ * @param {string} url - URL to escape
+ * @returns {string} - Escaped URL
+ */
+export function escapeMarkdownUrl(url) {
+  return String(url).replace(
+    /[\s()<>]/g,
+    (char) =>
+      "%" + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")
+  );
+}
+
+/**
+ * Filters that can be chained onto template placeholders,
+ * e.g. {{title|truncate:60|upper}}
+ */
+export const TEMPLATE_FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  truncate: (value, length = "80", suffix = "…") => {
+    const max = parseInt(length, 10);
+    if (isNaN(max) || value.length <= max) return value;
+    return value.slice(0, Math.max(0, max - suffix.length)).trimEnd() + suffix;
+  },
+  urlencode: (value) => encodeURIComponent(value),
+  escapeMarkdown: (value) => escapeMarkdown(value),
+  default: (value, fallback = "") => (value ? value : fallback),
+  stripQuery: (value) => value.replace(/\?[^#]*/, ""),
+  raw: (value) => value,
+};
+
+// Filters whose output should not be escaped again by formatWithTemplate
+const SELF_ESCAPING_FILTERS = ["raw", "escapeMarkdown", "urlencode"];
+
+/**
+ * Splits a string on a separator, ignoring separators inside quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Single separator character
+ * @returns {string[]} - Parts of the text
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Removes matching surrounding quotes from a filter argument
+ * @param {string} arg - Raw argument
+ * @returns {string} - Unquoted argument
+ */
+function unquote(arg) {
+  const trimmed = arg.trim();
+  const match = trimmed.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : trimmed;
+}
+
+/**
+ * Parses the inside of a {{...}} placeholder
+ * @param {string} expression - Placeholder body, e.g. "title|truncate:60"
+ * @returns {Object|null} - { key, arg, filters } or null if it isn't valid
+ */
+export function parsePlaceholder(expression) {
+  const [head, ...filterParts] = splitOutsideQuotes(expression, "|");
+  const headMatch = head.trim().match(/^(\w+)(?::(.*))?$/);
+  if (!headMatch) return null;
+
+  const filters = filterParts.map((part) => {
+    const separatorIndex = part.indexOf(":");
+    const name = (
+      separatorIndex === -1 ? part : part.slice(0, separatorIndex)
+    ).trim();
+    const args =
+      separatorIndex === -1
+        ? []
+        : splitOutsideQuotes(part.slice(separatorIndex + 1), ",").map(unquote);
+    return { name, args };
+  });
+
+  return { key: headMatch[1], arg: headMatch[2], filters };
+}
+
 /**
  * Formats text using a template with placeholders
+ * Placeholders can take an argument, e.g. {{date:YYYY-MM-DD}}. When the data
+ * value for such a key is a function it is called with that argument.
+ * Filters from TEMPLATE_FILTERS can be chained with "|".
  * @param {string} template - Template string with {{placeholders}}
  * @param {Object} data - Key-value pairs to replace placeholders
+ * @param {Object} options - Formatting options
+ * @param {Function} [options.escape] - Called as escape(value, key, offset)
+ *   on each substituted value, offset being where its placeholder starts in
+ *   the template, unless a filter such as |raw already handled it
  * @returns {string} - Formatted text
  */
-export function formatWithTemplate(template, data) {
+export function formatWithTemplate(template, data, options = {}) {
+  const { escape } = options;
+
   if (!template) return "";
 
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    return data[key] !== undefined ? data[key] : match;
+  return template.replace(/\{\{([^{}]+)\}\}/g, (match, expression, offset) => {
+    const placeholder = parsePlaceholder(expression);
+    if (!placeholder) return match;
+
+    let value = data[placeholder.key];
+    if (typeof value === "function") {
+      value = value(placeholder.arg);
+    }
+    if (value === undefined) return match;
+
+    const result = placeholder.filters.reduce((current, filter) => {
+      const filterFn = TEMPLATE_FILTERS[filter.name];
+      if (!filterFn) {
+        console.warn(`Unknown template filter: ${filter.name}`);
+        return current;
+      }
+      return filterFn(current, ...filter.args);
+    }, String(value));
+
+    const escaped = placeholder.filters.some((filter) =>
+      SELF_ESCAPING_FILTERS.includes(filter.name)
+    );
+    return escape && !escaped
+      ? escape(result, placeholder.key, offset)
+      : result;
   });
 }
 
+/**
+ * Formats a date using a simple token pattern
+ * Supported tokens: YYYY, YY, MM, M, DD, D, HH, H, hh, h, mm, ss, A
+ * @param {Date} date - Date to format
+ * @param {string} pattern - Pattern such as "YYYY-MM-DD" or "HH:mm"
+ * @returns {string} - Formatted date
+ */
+export function formatDate(date, pattern = "YYYY-MM-DD") {
+  const pad = (value) => String(value).padStart(2, "0");
+  const hours12 = date.getHours() % 12 || 12;
+
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    HH: pad(date.getHours()),
+    H: String(date.getHours()),
+    hh: pad(hours12),
+    h: String(hours12),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    A: date.getHours() < 12 ? "AM" : "PM",
+  };
+
+  return pattern.replace(
+    /YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A/g,
+    (token) => tokens[token]
+  );
+}
+
 /**
  * Shows a snackbar message
  * @param {string} message - Message to show
@@ -194,6 +385,20 @@ export function generateUniqueId(prefix = "") {
   return `${prefix}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Gets the template a format dropdown option stands for
+ * Saved formats are keyed by ID and keep their pattern in data-pattern,
+ * built-in options use the pattern as their value.
+ * @param {HTMLOptionElement} option - Dropdown option
+ * @returns {string} - Template pattern, or the option value
+ */
+export function getOptionTemplate(option) {
+  if (!option) return "";
+  return option.dataset.pattern !== undefined
+    ? option.dataset.pattern
+    : option.value;
+}
+
 /**
  * Handles dropdown change event with optional input field
  * @param {HTMLSelectElement} dropdown - The dropdown element
@@ -209,12 +414,11 @@ export function handleDropdownChange(dropdown, input, storageKey) {
     input.focus();
   } else {
     input.classList.remove("show");
-    input.value = dropdown.value;
+    input.value = getOptionTemplate(dropdown.options[dropdown.selectedIndex]);
   }
 
   // Save the current template to storage
-  const templateValue =
-    dropdown.value === "custom" ? input.value : dropdown.value;
+  const templateValue = input.value;
   const data = { [storageKey]: templateValue };
   updateFormatExamples();
   saveToStorage(data);
@@ -5,13 +5,14 @@
 // Import polyfill and UI components
 import "./js/browser-polyfill.js";
 import { initCustomConfirm } from "./js/custom-confirm.js";
-import {
-  initTabsUI,
-  updateTabPreview,
-  handleTabSelectionChange,
-} from "./ui/tabs-ui.js";
+import { initTabsUI, updateTabPreview } from "./ui/tabs-ui.js";
 import { initFolderUI } from "./ui/folders-ui.js";
 import { initSettingsUI } from "./ui/settings-ui.js";
+import { initFormatLibraryUI } from "./ui/format-library-ui.js";
+import { initLinkRulesUI } from "./ui/link-rules-ui.js";
+import { initUrlCleaningUI } from "./ui/url-cleaning-ui.js";
+import { initTitleRulesUI } from "./ui/title-rules-ui.js";
+import { initUrlFiltersUI } from "./ui/url-filters-ui.js";
 
 // Function to show/hide loading spinner
 function setLoading(isLoading) {
@@ -132,6 +133,7 @@ async function loadComponentsAndInitUI() {
       loadComponent("create_folder_modal", "createFolderModalPlaceholder"),
       loadComponent("share_folder_modal", "shareFolderModalPlaceholder"),
       loadComponent("add_format_modal", "addFormatModalPlaceholder"),
+      loadComponent("format_library_modal", "formatLibraryModalPlaceholder"),
     ]);
     console.log("All components loaded, initializing UI components");
   } catch (error) {
@@ -147,20 +149,58 @@ async function loadComponentsAndInitUI() {
     const elements = {
       // Tab UI elements
       tabPreview: document.getElementById("tabPreview"),
-      includeTitlesToggle: document.getElementById("includeTitles"),
+      linkContentSelect: document.getElementById("linkContent"),
       formatMarkdownToggle: document.getElementById("formatMarkdown"),
       formatTemplateInput: document.getElementById("formatTemplate"),
       plainTextTemplateInput: document.getElementById("plainTextTemplate"),
+      urlOnlyTemplateContainer: document.getElementById(
+        "urlOnlyTemplateContainer"
+      ),
+      urlOnlyTemplateInput: document.getElementById("urlOnlyTemplate"),
+      titleOnlyTemplateContainer: document.getElementById(
+        "titleOnlyTemplateContainer"
+      ),
+      titleOnlyTemplateInput: document.getElementById("titleOnlyTemplate"),
       formatTemplateDropdown: document.getElementById("formatTemplateDropdown"),
       plainTextTemplateDropdown: document.getElementById(
         "plainTextTemplateDropdown"
       ),
       copyAllTabsBtn: document.getElementById("copyAllTabs"),
       copySelectedTabsBtn: document.getElementById("copySelectedTabs"),
-      sortByPositionToggle: document.getElementById("sortByPosition"),
-      groupByDomainToggle: document.getElementById("groupByDomain"),
+      tabSearchInput: document.getElementById("tabSearch"),
+      tabSearchActions: document.getElementById("tabSearchActions"),
+      tabSearchCount: document.getElementById("tabSearchCount"),
+      copyMatchingTabsBtn: document.getElementById("copyMatchingTabs"),
+      saveMatchingTabsBtn: document.getElementById("saveMatchingTabs"),
+      selectionCount: document.getElementById("selectionCount"),
+      selectAllTabsBtn: document.getElementById("selectAllTabs"),
+      invertSelectionBtn: document.getElementById("invertSelection"),
+      clearSelectionBtn: document.getElementById("clearSelection"),
+      sortBySelect: document.getElementById("sortBy"),
+      sortDirectionSelect: document.getElementById("sortDirection"),
+      groupBySelect: document.getElementById("groupBy"),
+      groupOptionsContainer: document.getElementById("groupOptionsContainer"),
+      groupStyleSelect: document.getElementById("groupStyle"),
+      groupHeaderTemplateInput: document.getElementById("groupHeaderTemplate"),
+      groupSpacingSelect: document.getElementById("groupSpacing"),
+      dedupeTabsToggle: document.getElementById("dedupeTabs"),
       showSelectedOnlyToggle: document.getElementById("showSelectedOnly"),
       toggleLabel: document.getElementById("toggleLabel"),
+      headerTemplateInput: document.getElementById("headerTemplate"),
+      footerTemplateInput: document.getElementById("footerTemplate"),
+      itemSeparatorInput: document.getElementById("itemSeparator"),
+      trailingNewlineToggle: document.getElementById("trailingNewline"),
+      lineEndingSelect: document.getElementById("lineEnding"),
+      richTextModeSelect: document.getElementById("richTextMode"),
+      outputModeSelect: document.getElementById("outputMode"),
+      tabularOptionsContainer: document.getElementById(
+        "tabularOptionsContainer"
+      ),
+      tabularHeaderRowToggle: document.getElementById("tabularHeaderRow"),
+      tableGroupStyleSelect: document.getElementById("tableGroupStyle"),
+      jsonOptionsContainer: document.getElementById("jsonOptionsContainer"),
+      jsonShapeSelect: document.getElementById("jsonShape"),
+      jsonPrettyToggle: document.getElementById("jsonPretty"),
 
       // Folder UI elements
       folderList: document.getElementById("folderList"),
@@ -198,12 +238,91 @@ async function loadComponentsAndInitUI() {
       formatTypeInput: document.getElementById("formatType"),
       formatNameInput: document.getElementById("formatName"),
       formatPatternInput: document.getElementById("formatPattern"),
+      formatValidationList: document.getElementById("formatValidation"),
+      formatLivePreview: document.getElementById("formatLivePreview"),
+      manageFormatsBtn: document.getElementById("manageFormatsBtn"),
+      managePlainFormatsBtn: document.getElementById("managePlainFormatsBtn"),
+      formatLibraryModal: document.getElementById("formatLibraryModal"),
+      formatLibraryTitle: document.getElementById("formatLibraryTitle"),
+      formatLibraryList: document.getElementById("formatLibraryList"),
+      closeFormatLibraryModal: document.getElementById(
+        "closeFormatLibraryModal"
+      ),
+      exportFormatLibraryBtn: document.getElementById("exportFormatLibraryBtn"),
+      importFormatLibraryBtn: document.getElementById("importFormatLibraryBtn"),
+      formatLibraryFile: document.getElementById("formatLibraryFile"),
+      pasteFormatLibraryBtn: document.getElementById("pasteFormatLibraryBtn"),
+      formatImportPaste: document.getElementById("formatImportPaste"),
+      formatLibraryJson: document.getElementById("formatLibraryJson"),
+      previewFormatImport: document.getElementById("previewFormatImport"),
+      cancelFormatPaste: document.getElementById("cancelFormatPaste"),
+      formatImportPreview: document.getElementById("formatImportPreview"),
+      formatImportSummary: document.getElementById("formatImportSummary"),
+      confirmFormatImport: document.getElementById("confirmFormatImport"),
+      cancelFormatImport: document.getElementById("cancelFormatImport"),
+
+      // Link rules elements
+      linkRulesList: document.getElementById("linkRulesList"),
+      addLinkRuleForm: document.getElementById("addLinkRuleForm"),
+      linkRuleNameInput: document.getElementById("linkRuleName"),
+      linkRulePatternInput: document.getElementById("linkRulePattern"),
+      linkRuleTextInput: document.getElementById("linkRuleText"),
+      restoreLinkRulesBtn: document.getElementById("restoreLinkRulesBtn"),
+
+      // URL cleaning elements
+      urlCleaningEnabled: document.getElementById("urlCleaningEnabled"),
+      urlCleaningStripTracking: document.getElementById(
+        "urlCleaningStripTracking"
+      ),
+      urlCleaningUnwrapRedirects: document.getElementById(
+        "urlCleaningUnwrapRedirects"
+      ),
+      urlCleaningDropFragments: document.getElementById(
+        "urlCleaningDropFragments"
+      ),
+      trackingParamsHint: document.getElementById("trackingParamsHint"),
+      urlCleaningRulesList: document.getElementById("urlCleaningRulesList"),
+      addUrlCleaningRuleForm: document.getElementById("addUrlCleaningRuleForm"),
+      urlCleaningRuleDomainInput: document.getElementById(
+        "urlCleaningRuleDomain"
+      ),
+      urlCleaningRuleParamsInput: document.getElementById(
+        "urlCleaningRuleParams"
+      ),
+      urlCleaningTestInput: document.getElementById("urlCleaningTestInput"),
+      urlCleaningTestResult: document.getElementById("urlCleaningTestResult"),
+
+      // Title cleanup elements
+      titleRulesEnabled: document.getElementById("titleRulesEnabled"),
+      titleRulesApplyToFolders: document.getElementById(
+        "titleRulesApplyToFolders"
+      ),
+      builtInTitleRulesList: document.getElementById("builtInTitleRulesList"),
+      titleRulesList: document.getElementById("titleRulesList"),
+      addTitleRuleForm: document.getElementById("addTitleRuleForm"),
+      titleRuleDomainInput: document.getElementById("titleRuleDomain"),
+      titleRuleFindInput: document.getElementById("titleRuleFind"),
+      titleRuleReplaceInput: document.getElementById("titleRuleReplace"),
+      titleRulesPreview: document.getElementById("titleRulesPreview"),
+
+      // URL filter elements
+      urlFiltersEnabled: document.getElementById("urlFiltersEnabled"),
+      urlFilterRulesList: document.getElementById("urlFilterRulesList"),
+      addUrlFilterRuleForm: document.getElementById("addUrlFilterRuleForm"),
+      urlFilterRuleActionSelect: document.getElementById("urlFilterRuleAction"),
+      urlFilterRuleTypeSelect: document.getElementById("urlFilterRuleType"),
+      urlFilterRulePatternInput: document.getElementById(
+        "urlFilterRulePattern"
+      ),
+      urlFiltersTestInput: document.getElementById("urlFiltersTestInput"),
+      urlFiltersTestResult: document.getElementById("urlFiltersTestResult"),
+      restoreUrlFiltersBtn: document.getElementById("restoreUrlFiltersBtn"),
     };
 
     // Validate essential UI elements
     const requiredElements = [
       "tabPreview",
-      "includeTitlesToggle",
+      "linkContentSelect",
       "formatMarkdownToggle",
       "folderList",
       "snackbar",
@@ -222,18 +341,20 @@ async function loadComponentsAndInitUI() {
     console.log("Initializing tabs UI");
     await initTabsUI(elements);
 
+    console.log("Initializing format library UI");
+    initFormatLibraryUI(elements);
+
     console.log("Initializing folder UI");
     await initFolderUI(elements);
 
     console.log("Initializing settings UI");
     await initSettingsUI(elements);
 
-    // Set up message listener for tab selection changes
-    browser.runtime.onMessage.addListener((message) => {
-      if (message.action === "tabsSelected") {
-        handleTabSelectionChange(message.tabIds);
-      }
-    });
+    console.log("Initializing link rules UI");
+    await initLinkRulesUI(elements);
+    await initUrlCleaningUI(elements);
+    await initTitleRulesUI(elements);
+    await initUrlFiltersUI(elements);
 
     console.log("UI components initialized successfully");
     // Hide loading when done
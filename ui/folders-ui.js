@@ -4,10 +4,18 @@
 
 import "../js/browser-polyfill.js";
 import { copyToClipboard } from "../js/clipboard.js";
-import { formatTabs } from "../js/tabs-formatter.js";
+import { formatTabs, formatTabsAsHtml } from "../js/tabs-formatter.js";
+import { loadFormatSettings } from "../js/format-settings.js";
+import {
+  cleanTabUrls,
+  cleanUrl,
+  loadUrlCleaningSettings,
+} from "../js/url-cleaner.js";
+import { loadTitleRules } from "../js/title-rules.js";
+import { filterTabsByUrl, loadUrlFilters } from "../js/url-filters.js";
 import { generateShareURL } from "../js/share.js";
 import { customConfirm } from "../js/custom-confirm.js";
-import { showSnackbar } from "../js/utils.js";
+import { showSnackbar, loadFromStorage } from "../js/utils.js";
 import * as folderService from "../js/folders.js";
 
 // DOM element references
@@ -18,6 +26,9 @@ let shareResult;
 let qrcodeDiv;
 let shareStatsDiv;
 
+// Tabs handed over by another part of the popup to save in a new folder
+let pendingFolderTabs = null;
+
 /**
  * Initialize folder UI components
  * @param {Object} elements - DOM elements
@@ -149,6 +160,11 @@ function setupEventListeners(elements) {
   if (elements.copyOriginalLinkBtn) {
     elements.copyOriginalLinkBtn.addEventListener("click", copyOriginalLink);
   }
+
+  // Other parts of the popup can ask for a folder of specific tabs
+  document.addEventListener("saveTabsToFolder", (e) => {
+    showCreateFolderModal(e.detail);
+  });
 }
 
 /**
@@ -325,8 +341,37 @@ export const openFolderInNewTab = (folderId) => {
 
 /**
  * Shows the create folder modal
+ * Offered tabs go through the same filters and dedupe as every other save,
+ * so the count shown is what the folder will hold.
+ * @param {Object} [pending] - Tabs to offer instead of the current ones
+ * @param {Array} pending.tabs - Tabs to save
+ * @param {string} pending.label - Description of the tabs
+ * @returns {Promise<void>}
  */
-export function showCreateFolderModal() {
+export async function showCreateFolderModal(pending) {
+  // Called directly as a click handler, so ignore the event object
+  pendingFolderTabs =
+    pending && Array.isArray(pending.tabs)
+      ? {
+          ...pending,
+          tabs: folderService.getSavableTabs(
+            pending.tabs,
+            await getFolderSaveOptions()
+          ),
+        }
+      : null;
+
+  const matchingOption = document.getElementById("addMatchingTabsOption");
+  if (matchingOption) {
+    matchingOption.style.display = pendingFolderTabs ? "flex" : "none";
+  }
+  if (pendingFolderTabs) {
+    document.getElementById(
+      "addMatchingTabsLabel"
+    ).textContent = `${pendingFolderTabs.label} (${pendingFolderTabs.tabs.length})`;
+    document.getElementById("addMatchingTabs").checked = true;
+  }
+
   createFolderModal.style.display = "flex";
   document.getElementById("folderName").focus();
 }
@@ -337,6 +382,37 @@ export function showCreateFolderModal() {
 export function hideCreateFolderModal() {
   createFolderModal.style.display = "none";
   document.getElementById("createFolderForm").reset();
+  pendingFolderTabs = null;
+}
+
+/**
+ * Gets the tabs ticked in the popup list
+ * Falls back to the tabs highlighted in the tab strip if the tab list
+ * isn't loaded.
+ * @returns {Promise<Array>} - Selected tabs
+ */
+async function getSelectedTabs() {
+  if (typeof window.getSelectedTabs === "function") {
+    return window.getSelectedTabs();
+  }
+  return browser.tabs.query({ currentWindow: true, highlighted: true });
+}
+
+/**
+ * Gets the options used when tabs are saved to a folder
+ * @returns {Promise<Object>} - Title rules, or null if folders keep original
+ *   titles, whether duplicates are skipped, the URL cleaning settings used to
+ *   spot them and the URL filters that decide which tabs may be saved
+ */
+async function getFolderSaveOptions() {
+  const titleRules = await loadTitleRules();
+  const { dedupeTabs } = await loadFromStorage(["dedupeTabs"]);
+  return {
+    titleRules: titleRules.applyToFolders ? titleRules : null,
+    dedupeTabs: dedupeTabs === true,
+    urlCleaning: await loadUrlCleaningSettings(),
+    urlFilters: await loadUrlFilters(),
+  };
 }
 
 /**
@@ -364,15 +440,17 @@ export async function handleCreateFolder(e) {
       const allTabs = await browser.tabs.query({ currentWindow: true });
       tabsToAdd = allTabs;
     } else if (tabsToAddOption === "selected") {
-      const selectedTabsInfo = await browser.tabs.query({
-        currentWindow: true,
-        highlighted: true,
-      });
-      tabsToAdd = selectedTabsInfo;
+      tabsToAdd = await getSelectedTabs();
+    } else if (tabsToAddOption === "matching" && pendingFolderTabs) {
+      tabsToAdd = pendingFolderTabs.tabs;
     }
 
     // Create folder
-    await folderService.createFolder(folderName, tabsToAdd);
+    await folderService.createFolder(
+      folderName,
+      tabsToAdd,
+      await getFolderSaveOptions()
+    );
 
     // Hide modal and update UI
     hideCreateFolderModal();
@@ -667,28 +745,40 @@ export async function copyFolderToClipboard(folderId) {
     const folder = await folderService.getFolderById(folderId);
     if (!folder) return;
 
-    // Convert compact tabs to readable format
-    const tabs = folder.tabs.map((tab) => ({
-      title: tab.t || "",
-      url: tab.u || "",
-    }));
-
-    // Get user preferences
-    const options = await browser.storage.local.get([
-      "includeTitles",
-      "includeUrls",
-      "formatMarkdown",
-    ]);
-
-    // Format tabs
-    const formattedText = formatTabs(tabs, {
-      includeTitles: options.includeTitles !== false,
-      includeUrls: options.includeUrls !== false,
-      formatMarkdown: options.formatMarkdown !== false,
-    });
+    // Get user preferences, including templates and document options
+    const options = await loadFormatSettings();
+
+    // Convert compact tabs to readable format with cleaned URLs, leaving
+    // out tabs saved before a URL filter excluded them
+    const tabs = cleanTabUrls(
+      filterTabsByUrl(
+        folder.tabs.map((tab) => ({
+          title: tab.t || "",
+          url: tab.u || "",
+        })),
+        options.urlFilters
+      ),
+      options.urlCleaning
+    );
+    if (tabs.length === 0) {
+      showSnackbar(`Every tab in "${folder.name}" is hidden by URL filters`);
+      return;
+    }
+
+    // Format tabs (folder tabs are copied in their saved order, ungrouped)
+    const folderOptions = {
+      ...options,
+      groupBy: "none",
+      folder: { name: folder.name, createdAt: folder.createdAt },
+    };
+    const formattedText = formatTabs(tabs, folderOptions);
+    const html =
+      options.richTextMode !== "off"
+        ? formatTabsAsHtml(tabs, folderOptions)
+        : undefined;
 
     // Copy to clipboard
-    await copyToClipboard(formattedText);
+    await copyToClipboard(formattedText, html);
     showSnackbar(`Folder "${folder.name}" copied to clipboard`);
   } catch (error) {
     console.error("Error copying folder:", error);
@@ -792,7 +882,17 @@ export async function handleShareFolder(e) {
   if (!folder) return;
 
   try {
-    const shareableUrl = await generateShareURL(folder, password);
+    // Shared links get the same URL cleaning as copied ones
+    const { urlCleaning } = await loadFormatSettings();
+    const sharedFolder = {
+      ...folder,
+      tabs: folder.tabs.map((tab) => ({
+        ...tab,
+        u: cleanUrl(tab.u, urlCleaning),
+      })),
+    };
+
+    const shareableUrl = await generateShareURL(sharedFolder, password);
     const shortenedUrl = await shortenUrl(shareableUrl);
 
     // Remove password field, submit button and label
@@ -831,7 +931,9 @@ export async function handleShareFolder(e) {
     }
 
     // Update stats
-    const folderSize = new TextEncoder().encode(JSON.stringify(folder)).length;
+    const folderSize = new TextEncoder().encode(
+      JSON.stringify(sharedFolder)
+    ).length;
     shareStatsDiv.textContent = `Folder size: ${formatSize(folderSize)}`;
   } catch (error) {
     console.error("Error sharing folder:", error);
@@ -956,10 +1058,7 @@ export async function addSelectedTabsToFolder(folderId) {
 
     if (isShowSelectedOnly) {
       // Add only selected tabs when toggle is on
-      tabs = await browser.tabs.query({
-        currentWindow: true,
-        highlighted: true,
-      });
+      tabs = await getSelectedTabs();
       selectionMessage = "selected";
     } else {
       // Add all tabs when toggle is off
@@ -969,20 +1068,35 @@ export async function addSelectedTabsToFolder(folderId) {
       selectionMessage = "all";
     }
 
-    if (!tabs || tabs.length === 0) {
+    // Tabs the URL filters exclude are never saved
+    const saveOptions = await getFolderSaveOptions();
+    tabs = filterTabsByUrl(tabs || [], saveOptions.urlFilters);
+
+    if (tabs.length === 0) {
       showSnackbar("No tabs to add");
       return;
     }
 
     // Add tabs to folder
-    const updatedFolder = await folderService.addTabsToFolder(folderId, tabs);
+    const previousCount = folder.tabs.length;
+    const updatedFolder = await folderService.addTabsToFolder(
+      folderId,
+      tabs,
+      saveOptions
+    );
 
     // Update UI
     await renderFolderList();
 
-    // Show success message
+    // Show success message, mentioning tabs that were already saved
+    const addedCount = updatedFolder
+      ? updatedFolder.tabs.length - previousCount
+      : 0;
+    const skippedCount = tabs.length - addedCount;
     showSnackbar(
-      `Added ${tabs.length} ${selectionMessage} tab(s) to "${folder.name}"`
+      skippedCount > 0
+        ? `Added ${addedCount} ${selectionMessage} tab(s) to "${folder.name}", skipped ${skippedCount} duplicate(s)`
+        : `Added ${addedCount} ${selectionMessage} tab(s) to "${folder.name}"`
     );
   } catch (error) {
     console.error("Error adding tabs to folder:", error);
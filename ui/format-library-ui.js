@@ -0,0 +1,495 @@
+/**
+ * format-library-ui.js - Editor for saved custom formats
+ */
+
+import * as formatManager from "../js/format-manager.js";
+import { validateTemplate } from "../js/tabs-formatter.js";
+import { customConfirm } from "../js/custom-confirm.js";
+import {
+  showModal,
+  hideModal,
+  createElement,
+  showSnackbar,
+} from "../js/utils.js";
+
+// DOM element references
+let formatLibraryModal;
+let formatLibraryList;
+let formatLibraryTitle;
+
+// Format type currently shown in the library
+let libraryType = "markdown";
+
+// ID of the format being dragged
+let draggedFormatId = null;
+
+// Import controls
+// Pasting is offered next to the file picker, as some browsers close the
+// popup while a file picker is open
+let formatLibraryFile;
+let formatImportPaste;
+let formatLibraryJson;
+let formatImportPreview;
+let formatImportSummary;
+
+// Parsed library waiting for the user to confirm the import
+let pendingImport = null;
+
+/**
+ * Initialize the format library editor
+ * @param {Object} elements - DOM elements
+ */
+export function initFormatLibraryUI(elements) {
+  formatLibraryModal = elements.formatLibraryModal;
+  formatLibraryList = elements.formatLibraryList;
+  formatLibraryTitle = elements.formatLibraryTitle;
+  formatLibraryFile = elements.formatLibraryFile;
+  formatImportPaste = elements.formatImportPaste;
+  formatLibraryJson = elements.formatLibraryJson;
+  formatImportPreview = elements.formatImportPreview;
+  formatImportSummary = elements.formatImportSummary;
+
+  if (!formatLibraryModal || !formatLibraryList) {
+    console.warn("Format library elements not found");
+    return;
+  }
+
+  if (elements.manageFormatsBtn) {
+    elements.manageFormatsBtn.addEventListener("click", () =>
+      showFormatLibrary("markdown")
+    );
+  }
+  if (elements.managePlainFormatsBtn) {
+    elements.managePlainFormatsBtn.addEventListener("click", () =>
+      showFormatLibrary("plaintext")
+    );
+  }
+  if (elements.closeFormatLibraryModal) {
+    elements.closeFormatLibraryModal.addEventListener("click", () =>
+      hideModal(formatLibraryModal)
+    );
+  }
+
+  // Export and import
+  if (elements.exportFormatLibraryBtn) {
+    elements.exportFormatLibraryBtn.addEventListener(
+      "click",
+      exportFormatLibraryFile
+    );
+  }
+  if (elements.importFormatLibraryBtn && formatLibraryFile) {
+    elements.importFormatLibraryBtn.addEventListener("click", () =>
+      formatLibraryFile.click()
+    );
+    formatLibraryFile.addEventListener("change", () => {
+      const [file] = formatLibraryFile.files;
+      // Clear so choosing the same file again still fires change
+      formatLibraryFile.value = "";
+      if (file) readImportFile(file);
+    });
+  }
+  if (elements.pasteFormatLibraryBtn && formatImportPaste) {
+    elements.pasteFormatLibraryBtn.addEventListener("click", showImportPaste);
+  }
+  if (elements.previewFormatImport && formatLibraryJson) {
+    elements.previewFormatImport.addEventListener("click", () => {
+      if (!formatLibraryJson.value.trim()) {
+        showSnackbar("Paste an exported format library first");
+        return;
+      }
+      readImportText(formatLibraryJson.value);
+    });
+  }
+  if (elements.cancelFormatPaste) {
+    elements.cancelFormatPaste.addEventListener("click", hideImportPreview);
+  }
+  if (formatImportPreview) {
+    formatImportPreview
+      .querySelectorAll("input[name='formatImportMode']")
+      .forEach((input) =>
+        input.addEventListener("change", renderImportPreview)
+      );
+  }
+  if (elements.confirmFormatImport) {
+    elements.confirmFormatImport.addEventListener("click", confirmImport);
+  }
+  if (elements.cancelFormatImport) {
+    elements.cancelFormatImport.addEventListener("click", hideImportPreview);
+  }
+
+  console.log("Format library UI initialized");
+}
+
+/**
+ * Opens the library for one format type
+ * @param {string} type - Format type (markdown or plaintext)
+ */
+export function showFormatLibrary(type) {
+  libraryType = type;
+
+  showModal(formatLibraryModal, () => {
+    if (formatLibraryTitle) {
+      formatLibraryTitle.textContent =
+        type === "markdown" ? "Markdown Formats" : "Plain Text Formats";
+    }
+    hideImportPreview();
+    renderFormatLibrary();
+  });
+}
+
+/**
+ * Renders the saved formats of the current type in library order
+ */
+function renderFormatLibrary() {
+  if (!formatLibraryList) return;
+
+  const formats = formatManager.getAllFormats()[libraryType] || [];
+  const defaultId = formatManager.getDefaultFormatId(libraryType);
+
+  formatLibraryList.innerHTML = "";
+
+  if (formats.length === 0) {
+    formatLibraryList.appendChild(
+      createElement("li", {
+        className: "format-library-empty",
+        textContent: "No saved formats yet. Use Add to create one.",
+      })
+    );
+    return;
+  }
+
+  formats.forEach((format, index) => {
+    formatLibraryList.appendChild(
+      createFormatLibraryItem(format, index, format.id === defaultId)
+    );
+  });
+}
+
+/**
+ * Creates the editable row for a saved format
+ * @param {Object} format - Saved format
+ * @param {number} index - Position in the library
+ * @param {boolean} isDefault - Whether this is the default format
+ * @returns {HTMLElement} - List item
+ */
+function createFormatLibraryItem(format, index, isDefault) {
+  const item = createElement("li", {
+    className: "format-library-item",
+    draggable: true,
+    dataset: { formatId: format.id, index: String(index) },
+  });
+
+  const handle = createElement("span", {
+    className: "format-library-handle",
+    title: "Drag to reorder",
+    textContent: "⋮⋮",
+  });
+
+  // Name and pattern save when the field loses focus
+  const fields = createElement("div", { className: "format-library-fields" });
+  const nameInput = createElement("input", {
+    type: "text",
+    className: "text-field",
+    value: format.name,
+    placeholder: "Format name",
+    title: "Format name",
+  });
+  const patternInput = createElement("input", {
+    type: "text",
+    className: "text-field",
+    value: format.pattern,
+    placeholder: "Format pattern",
+    title: "Format pattern",
+  });
+  nameInput.addEventListener("change", () =>
+    saveFormatField(format, "name", nameInput)
+  );
+  patternInput.addEventListener("change", () =>
+    saveFormatField(format, "pattern", patternInput)
+  );
+  fields.append(nameInput, patternInput);
+
+  const actions = createElement("div", {
+    className: "format-library-actions",
+  });
+  const defaultBtn = createElement("button", {
+    type: "button",
+    className: isDefault ? "is-default" : "",
+    textContent: isDefault ? "★ Default" : "☆ Default",
+    title: isDefault ? "Use the built-in default instead" : "Set as default",
+  });
+  defaultBtn.addEventListener("click", async () => {
+    await formatManager.setDefaultFormat(
+      libraryType,
+      isDefault ? null : format.id
+    );
+    renderFormatLibrary();
+  });
+
+  const duplicateBtn = createElement("button", {
+    type: "button",
+    textContent: "Duplicate",
+  });
+  duplicateBtn.addEventListener("click", async () => {
+    await formatManager.duplicateFormat(libraryType, format.id);
+    renderFormatLibrary();
+  });
+
+  const deleteBtn = createElement("button", {
+    type: "button",
+    textContent: "Delete",
+  });
+  deleteBtn.addEventListener("click", async () => {
+    const confirmed = await customConfirm(`Remove format "${format.name}"?`);
+    if (!confirmed) return;
+    await formatManager.removeFormat(libraryType, format.id);
+    renderFormatLibrary();
+  });
+
+  actions.append(defaultBtn, duplicateBtn, deleteBtn);
+  item.append(handle, fields, actions);
+
+  setupDragAndDrop(item);
+
+  return item;
+}
+
+/**
+ * Saves an edited name or pattern
+ * @param {Object} format - Saved format
+ * @param {string} field - "name" or "pattern"
+ * @param {HTMLInputElement} input - Field that changed
+ */
+async function saveFormatField(format, field, input) {
+  const value = input.value.trim();
+  if (!value) {
+    // Empty values aren't allowed, put the old one back
+    input.value = format[field];
+    showSnackbar(`Format ${field} can't be empty`);
+    return;
+  }
+
+  if (field === "pattern") {
+    const firstError = validateTemplate(value).find(
+      (issue) => issue.level === "error"
+    );
+    if (firstError) {
+      input.value = format.pattern;
+      showSnackbar(firstError.message);
+      return;
+    }
+  }
+
+  await formatManager.updateFormat(libraryType, format.id, {
+    [field]: value,
+  });
+  format[field] = value;
+  showSnackbar(`Format "${format.name}" saved`);
+}
+
+/**
+ * Adds drag and drop reordering to a library row
+ * @param {HTMLElement} item - List item
+ */
+function setupDragAndDrop(item) {
+  item.addEventListener("dragstart", (e) => {
+    // Let text inside the inputs be selected instead of dragging the row
+    if (e.target.tagName === "INPUT") {
+      e.preventDefault();
+      return;
+    }
+    draggedFormatId = item.dataset.formatId;
+    item.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+  });
+
+  item.addEventListener("dragend", () => {
+    draggedFormatId = null;
+    item.classList.remove("dragging");
+  });
+
+  item.addEventListener("dragover", (e) => {
+    if (!draggedFormatId) return;
+    e.preventDefault();
+    item.classList.add("drop-target");
+  });
+
+  item.addEventListener("dragleave", () => {
+    item.classList.remove("drop-target");
+  });
+
+  item.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    item.classList.remove("drop-target");
+    if (!draggedFormatId || draggedFormatId === item.dataset.formatId) return;
+
+    await formatManager.moveFormat(
+      libraryType,
+      draggedFormatId,
+      Number(item.dataset.index)
+    );
+    renderFormatLibrary();
+  });
+}
+
+/**
+ * Downloads the whole format library as a JSON file
+ */
+function exportFormatLibraryFile() {
+  const library = formatManager.exportFormatLibrary();
+  const count = library.markdown.length + library.plaintext.length;
+  if (count === 0) {
+    showSnackbar("No saved formats to export");
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(library, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = createElement("a", {
+    href: url,
+    download: `kaminari-formats-${new Date().toISOString().slice(0, 10)}.json`,
+  });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download before it starts
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  showSnackbar(`Exported ${count} formats`);
+}
+
+/**
+ * Shows the field for pasting an exported library
+ */
+function showImportPaste() {
+  hideImportPreview();
+  formatImportPaste.hidden = false;
+  if (formatLibraryJson) formatLibraryJson.focus();
+}
+
+/**
+ * Reads a chosen library file and shows what importing it would do
+ * @param {File} file - Selected file
+ */
+async function readImportFile(file) {
+  try {
+    readImportText(await file.text());
+  } catch (error) {
+    console.error("Error reading format library file:", error);
+    showSnackbar("Error reading the file");
+  }
+}
+
+/**
+ * Reads an exported library and shows what importing it would do
+ * @param {string} text - Exported library JSON
+ */
+function readImportText(text) {
+  try {
+    pendingImport = formatManager.parseFormatLibrary(text);
+  } catch (error) {
+    console.error("Error reading format library:", error);
+    showSnackbar(error.message);
+    pendingImport = null;
+    return;
+  }
+
+  if (pendingImport.markdown.length + pendingImport.plaintext.length === 0) {
+    showSnackbar("No formats found to import");
+    pendingImport = null;
+    return;
+  }
+
+  if (formatImportPaste) formatImportPaste.hidden = true;
+  renderImportPreview();
+  formatImportPreview.hidden = false;
+}
+
+/**
+ * Gets the selected import mode
+ * @returns {string} - "merge" or "replace"
+ */
+function getImportMode() {
+  const checked = formatImportPreview?.querySelector(
+    "input[name='formatImportMode']:checked"
+  );
+  return checked ? checked.value : "merge";
+}
+
+/**
+ * Lists the formats that would be added, skipped or removed
+ */
+function renderImportPreview() {
+  if (!pendingImport || !formatImportSummary) return;
+
+  const preview = formatManager.previewFormatImport(
+    pendingImport,
+    getImportMode()
+  );
+  const typeLabels = { markdown: "Markdown", plaintext: "Plain text" };
+
+  formatImportSummary.innerHTML = "";
+  Object.entries(preview).forEach(([type, { added, duplicates, removed }]) => {
+    if (added.length + duplicates.length + removed === 0) return;
+
+    const counts = [`${added.length} new`];
+    if (duplicates.length) counts.push(`${duplicates.length} already saved`);
+    if (removed) counts.push(`${removed} removed`);
+    formatImportSummary.appendChild(
+      createElement("li", {
+        textContent: `${typeLabels[type]}: ${counts.join(", ")}`,
+      })
+    );
+
+    added.forEach((entry) =>
+      formatImportSummary.appendChild(
+        createElement("li", {
+          textContent: `+ ${entry.name}`,
+          title: entry.pattern,
+        })
+      )
+    );
+    duplicates.forEach((entry) =>
+      formatImportSummary.appendChild(
+        createElement("li", {
+          className: "duplicate",
+          textContent: `= ${entry.name} (skipped)`,
+          title: entry.pattern,
+        })
+      )
+    );
+  });
+}
+
+/**
+ * Imports the previewed library
+ */
+async function confirmImport() {
+  if (!pendingImport) return;
+
+  try {
+    const count = await formatManager.importFormatLibrary(
+      pendingImport,
+      getImportMode()
+    );
+    hideImportPreview();
+    renderFormatLibrary();
+    showSnackbar(`Imported ${count} formats`);
+  } catch (error) {
+    console.error("Error importing formats:", error);
+    showSnackbar("Error importing formats");
+  }
+}
+
+/**
+ * Hides the import controls and forgets the pending library
+ */
+function hideImportPreview() {
+  pendingImport = null;
+  if (formatImportPaste) formatImportPaste.hidden = true;
+  if (formatLibraryJson) formatLibraryJson.value = "";
+  if (formatImportPreview) formatImportPreview.hidden = true;
+  if (formatImportSummary) formatImportSummary.innerHTML = "";
+}
@@ -0,0 +1,231 @@
+/**
+ * link-rules-ui.js - Settings section for editing link rules
+ */
+
+import {
+  loadLinkRules,
+  saveLinkRules,
+  createLinkRule,
+  validateLinkRulePattern,
+  DEFAULT_LINK_RULES,
+} from "../js/link-rules.js";
+import { customConfirm } from "../js/custom-confirm.js";
+import { createElement, showSnackbar } from "../js/utils.js";
+
+// DOM element references
+let linkRulesList;
+let addLinkRuleForm;
+let linkRuleNameInput;
+let linkRulePatternInput;
+let linkRuleTextInput;
+
+// Rules as currently saved
+let rules = [];
+
+/**
+ * Initialize the link rules section
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+export async function initLinkRulesUI(elements) {
+  linkRulesList = elements.linkRulesList;
+  addLinkRuleForm = elements.addLinkRuleForm;
+  linkRuleNameInput = elements.linkRuleNameInput;
+  linkRulePatternInput = elements.linkRulePatternInput;
+  linkRuleTextInput = elements.linkRuleTextInput;
+
+  if (!linkRulesList) {
+    console.warn("Link rules list not found");
+    return;
+  }
+
+  if (addLinkRuleForm) {
+    addLinkRuleForm.addEventListener("submit", handleAddLinkRule);
+  }
+  if (elements.restoreLinkRulesBtn) {
+    elements.restoreLinkRulesBtn.addEventListener("click", restoreDefaults);
+  }
+
+  rules = await loadLinkRules();
+  renderLinkRules();
+
+  console.log("Link rules UI initialized");
+}
+
+/**
+ * Saves the rules and lets the rest of the popup know they changed
+ * @returns {Promise<void>}
+ */
+async function commitRules() {
+  await saveLinkRules(rules);
+  document.dispatchEvent(new CustomEvent("linkRulesChanged"));
+  renderLinkRules();
+}
+
+/**
+ * Renders the rule list in priority order
+ */
+function renderLinkRules() {
+  linkRulesList.innerHTML = "";
+
+  if (rules.length === 0) {
+    linkRulesList.appendChild(
+      createElement("li", {
+        className: "rules-empty",
+        textContent: "No link rules. Links use the tab title.",
+      })
+    );
+    return;
+  }
+
+  rules.forEach((rule, index) => {
+    linkRulesList.appendChild(createRuleItem(rule, index));
+  });
+}
+
+/**
+ * Creates the editable row for a rule
+ * @param {Object} rule - Link rule
+ * @param {number} index - Position in the list
+ * @returns {HTMLElement} - List item
+ */
+function createRuleItem(rule, index) {
+  const item = createElement("li", {
+    className: rule.enabled ? "rules-item" : "rules-item disabled",
+  });
+
+  const enabledToggle = createElement("input", {
+    type: "checkbox",
+    checked: rule.enabled,
+    title: rule.enabled ? "Disable rule" : "Enable rule",
+  });
+  enabledToggle.addEventListener("change", () => {
+    rule.enabled = enabledToggle.checked;
+    commitRules();
+  });
+
+  const fields = createElement("div", { className: "rules-fields" });
+  [
+    { key: "name", placeholder: "Name" },
+    { key: "pattern", placeholder: "URL pattern" },
+    { key: "text", placeholder: "Link text" },
+  ].forEach(({ key, placeholder }) => {
+    const input = createElement("input", {
+      type: "text",
+      className: "text-field",
+      value: rule[key],
+      placeholder,
+      title: placeholder,
+    });
+    input.addEventListener("change", () => updateRuleField(rule, key, input));
+    fields.appendChild(input);
+  });
+
+  const actions = createElement("div", { className: "rules-actions" });
+  const upBtn = createElement("button", {
+    type: "button",
+    textContent: "↑",
+    title: "Move up",
+    disabled: index === 0,
+  });
+  upBtn.addEventListener("click", () => moveRule(index, index - 1));
+  const downBtn = createElement("button", {
+    type: "button",
+    textContent: "↓",
+    title: "Move down",
+    disabled: index === rules.length - 1,
+  });
+  downBtn.addEventListener("click", () => moveRule(index, index + 1));
+  const deleteBtn = createElement("button", {
+    type: "button",
+    textContent: "✕",
+    title: "Delete rule",
+  });
+  deleteBtn.addEventListener("click", async () => {
+    if (!(await customConfirm(`Delete rule "${rule.name}"?`))) return;
+    rules = rules.filter((r) => r.id !== rule.id);
+    commitRules();
+  });
+  actions.append(upBtn, downBtn, deleteBtn);
+
+  item.append(enabledToggle, fields, actions);
+  return item;
+}
+
+/**
+ * Saves an edited rule field
+ * @param {Object} rule - Link rule
+ * @param {string} key - "name", "pattern" or "text"
+ * @param {HTMLInputElement} input - Field that changed
+ */
+function updateRuleField(rule, key, input) {
+  const value = input.value.trim();
+  const error = !value
+    ? "Rule fields can't be empty"
+    : key === "pattern"
+    ? validateLinkRulePattern(value)
+    : null;
+
+  if (error) {
+    input.value = rule[key];
+    showSnackbar(error);
+    return;
+  }
+
+  rule[key] = value;
+  commitRules();
+}
+
+/**
+ * Moves a rule up or down in priority
+ * @param {number} fromIndex - Current position
+ * @param {number} toIndex - New position
+ */
+function moveRule(fromIndex, toIndex) {
+  if (toIndex < 0 || toIndex >= rules.length) return;
+  const [rule] = rules.splice(fromIndex, 1);
+  rules.splice(toIndex, 0, rule);
+  commitRules();
+}
+
+/**
+ * Handles the add rule form
+ * @param {Event} e - Submit event
+ */
+async function handleAddLinkRule(e) {
+  e.preventDefault();
+
+  const name = linkRuleNameInput.value.trim();
+  const pattern = linkRulePatternInput.value.trim();
+  const text = linkRuleTextInput.value.trim();
+
+  if (!name || !pattern || !text) {
+    showSnackbar("Please enter a name, pattern and link text");
+    return;
+  }
+
+  const error = validateLinkRulePattern(pattern);
+  if (error) {
+    showSnackbar(error);
+    return;
+  }
+
+  rules = [...rules, createLinkRule(name, pattern, text)];
+  await commitRules();
+  addLinkRuleForm.reset();
+  showSnackbar(`Rule "${name}" added`);
+}
+
+/**
+ * Replaces the rules with the built-in ones
+ */
+async function restoreDefaults() {
+  const confirmed = await customConfirm(
+    "Replace your link rules with the built-in ones?"
+  );
+  if (!confirmed) return;
+
+  rules = DEFAULT_LINK_RULES.map((rule) => ({ ...rule }));
+  await commitRules();
+  showSnackbar("Default link rules restored");
+}
@@ -4,6 +4,7 @@
 
 import "../js/browser-polyfill.js";
 import { customConfirm } from "../js/custom-confirm.js";
+import { loadDefaultTemplates } from "../js/format-settings.js";
 
 // DOM element references
 let settingsIcon;
@@ -15,10 +16,18 @@ let snackbar;
 // Add references for internal settings navigation
 let privacyPolicyBtn;
 let termsBtn;
+let linkRulesBtn;
+let urlCleaningBtn;
+let titleRulesBtn;
+let urlFiltersBtn;
 let backButtons;
 let mainSettingsLinks;
 let privacyPolicyContent;
 let termsContent;
+let linkRulesContent;
+let urlCleaningContent;
+let titleRulesContent;
+let urlFiltersContent;
 let mainSettingsHeader;
 
 // Add references for new elements
@@ -44,12 +53,20 @@ export async function initSettingsUI(elements) {
     // Get internal settings elements (might be null if component loading failed)
     privacyPolicyBtn = document.getElementById("privacyPolicyBtn");
     termsBtn = document.getElementById("termsBtn");
+    linkRulesBtn = document.getElementById("linkRulesBtn");
+    urlCleaningBtn = document.getElementById("urlCleaningBtn");
+    titleRulesBtn = document.getElementById("titleRulesBtn");
+    urlFiltersBtn = document.getElementById("urlFiltersBtn");
     backButtons = document.querySelectorAll(
       ".back-btn[data-target='mainSettings']"
     );
     mainSettingsLinks = document.getElementById("mainSettingsLinks");
     privacyPolicyContent = document.getElementById("privacyPolicyContent");
     termsContent = document.getElementById("termsContent");
+    linkRulesContent = document.getElementById("linkRulesContent");
+    urlCleaningContent = document.getElementById("urlCleaningContent");
+    titleRulesContent = document.getElementById("titleRulesContent");
+    urlFiltersContent = document.getElementById("urlFiltersContent");
     mainSettingsHeader = document.getElementById("mainSettingsHeader");
 
     // Get new elements
@@ -125,6 +142,22 @@ function setupEventListeners() {
     console.warn("Terms button not found");
   }
 
+  if (linkRulesBtn) {
+    linkRulesBtn.addEventListener("click", () => showSection("linkRules"));
+  }
+
+  if (urlCleaningBtn) {
+    urlCleaningBtn.addEventListener("click", () => showSection("urlCleaning"));
+  }
+
+  if (titleRulesBtn) {
+    titleRulesBtn.addEventListener("click", () => showSection("titleRules"));
+  }
+
+  if (urlFiltersBtn) {
+    urlFiltersBtn.addEventListener("click", () => showSection("urlFilters"));
+  }
+
   if (backButtons && backButtons.length > 0) {
     backButtons.forEach((button) => {
       button.addEventListener("click", () => showSection("main"));
@@ -225,15 +258,38 @@ function hideSettingsMenu() {
 async function resetSettings() {
   // Default settings
   const defaultSettings = {
-    includeTitles: true,
+    linkContent: "titleAndUrl",
     includeUrls: true,
     formatMarkdown: true,
-    sortByPosition: true,
-    groupByDomain: false,
+    sortBy: "position",
+    sortDirection: "asc",
+    groupBy: "none",
+    groupStyle: "heading",
+    groupHeaderTemplate: "{{group}}",
+    groupSpacing: 1,
+    dedupeTabs: false,
     formatTemplate: "[{{title}}]({{url}})",
     plainTextTemplate: "{{title}} - {{url}}",
+    urlOnlyTemplate: "{{url}}",
+    titleOnlyTemplate: "{{title}}",
+    headerTemplate: "",
+    footerTemplate: "",
+    itemSeparator: "\\n",
+    trailingNewline: false,
+    lineEnding: "lf",
+    richTextMode: "off",
+    outputMode: "template",
+    tabularColumns: ["title", "url"],
+    tabularHeaderRow: true,
+    tableGroupStyle: "column",
+    jsonPretty: true,
+    jsonShape: "readable",
+    selectedFormatIds: {},
   };
 
+  // Templates go back to the formats chosen as default in the library
+  Object.assign(defaultSettings, await loadDefaultTemplates());
+
   // Save default settings
   await browser.storage.local.set(defaultSettings);
 
@@ -243,7 +299,8 @@ async function resetSettings() {
 
 /**
  * Helper function to show specific section within the settings panel
- * @param {string} section - 'main', 'privacy', or 'terms'
+ * @param {string} section - 'main', 'privacy', 'terms', 'linkRules',
+ *   'urlCleaning', 'titleRules' or 'urlFilters'
  */
 function showSection(section) {
   // Ensure elements exist before trying to modify style
@@ -263,6 +320,10 @@ function showSection(section) {
   mainSettingsLinks.style.display = "none";
   privacyPolicyContent.style.display = "none";
   termsContent.style.display = "none";
+  if (linkRulesContent) linkRulesContent.style.display = "none";
+  if (urlCleaningContent) urlCleaningContent.style.display = "none";
+  if (titleRulesContent) titleRulesContent.style.display = "none";
+  if (urlFiltersContent) urlFiltersContent.style.display = "none";
 
   // Show requested section and manage main header visibility
   if (section === "main") {
@@ -274,6 +335,19 @@ function showSection(section) {
   } else if (section === "terms") {
     termsContent.style.display = "block";
     mainSettingsHeader.style.display = "none";
+  } else if (section === "linkRules" && linkRulesContent) {
+    linkRulesContent.style.display = "block";
+    mainSettingsHeader.style.display = "none";
+  } else if (section === "urlCleaning" && urlCleaningContent) {
+    urlCleaningContent.style.display = "block";
+    mainSettingsHeader.style.display = "none";
+  } else if (section === "titleRules" && titleRulesContent) {
+    titleRulesContent.style.display = "block";
+    mainSettingsHeader.style.display = "none";
+    document.dispatchEvent(new CustomEvent("titleRulesShown"));
+  } else if (section === "urlFilters" && urlFiltersContent) {
+    urlFiltersContent.style.display = "block";
+    mainSettingsHeader.style.display = "none";
   }
 }
 
@@ -6,22 +6,60 @@ import "../js/browser-polyfill.js";
 import { copyToClipboard } from "../js/clipboard.js";
 import {
   formatTabs,
+  formatTabsAsHtml,
   processTabs,
   generateFormatExample,
   formatSingleTab,
+  attachTabGroups,
+  attachWindowNumbers,
+  TEMPLATE_PLACEHOLDERS,
+  TEMPLATE_FILTER_HINTS,
+  validateTemplate,
+  previewTemplate,
+  flattenTabGroups,
+  isGroupedTabs,
+  TAB_GROUP_COLORS,
+  LINK_CONTENT_MODES,
+  getLinkContent,
+  extractDomain,
 } from "../js/tabs-formatter.js";
 import * as formatManager from "../js/format-manager.js";
+import { getOptionTemplate } from "../js/utils.js";
+import { loadLinkRules } from "../js/link-rules.js";
+import { cleanTabUrls, loadUrlCleaningSettings } from "../js/url-cleaner.js";
+import { loadTitleRules } from "../js/title-rules.js";
+import { hasSearchQuery, SEARCH_OPERATORS } from "../js/tab-search.js";
+import { filterTabsByUrl, loadUrlFilters } from "../js/url-filters.js";
 
 // DOM element references
 let tabPreview;
-let includeTitlesToggle;
+let linkContentSelect;
 let formatMarkdownToggle;
 let formatTemplateInput;
 let plainTextTemplateInput;
+let urlOnlyTemplateContainer;
+let urlOnlyTemplateInput;
+let titleOnlyTemplateContainer;
+let titleOnlyTemplateInput;
 let copyAllTabsBtn;
 let copySelectedTabsBtn;
-let sortByPositionToggle;
-let groupByDomainToggle;
+let tabSearchInput;
+let tabSearchActions;
+let tabSearchCount;
+let copyMatchingTabsBtn;
+let saveMatchingTabsBtn;
+let selectionCount;
+let selectAllTabsBtn;
+let invertSelectionBtn;
+let clearSelectionBtn;
+let sortBySelect;
+let sortDirectionSelect;
+let groupBySelect;
+let groupOptionsContainer;
+let groupStyleSelect;
+let groupHeaderTemplateInput;
+let groupSpacingSelect;
+let dedupeTabsToggle;
 let showSelectedOnlyToggle;
 let toggleLabel;
 let snackbar;
@@ -35,11 +73,38 @@ let addFormatForm;
 let formatTypeInput;
 let formatNameInput;
 let formatPatternInput;
+let formatValidationList;
+let formatLivePreview;
+let headerTemplateInput;
+let footerTemplateInput;
+let itemSeparatorInput;
+let trailingNewlineToggle;
+let lineEndingSelect;
+let richTextModeSelect;
+let outputModeSelect;
+let tabularOptionsContainer;
+let tabularHeaderRowToggle;
+let tableGroupStyleSelect;
+let jsonOptionsContainer;
+let jsonShapeSelect;
+let jsonPrettyToggle;
 
 // Global state variables
 let currentTabs = [];
 let selectedTabs = [];
 let forceShowSelected = false;
+// Tab IDs in the order the preview lists them, for range selection
+let previewTabIds = [];
+// Tab last ticked or unticked, where a shift-click range starts
+let selectionAnchorId = null;
+let selectionSeeded = false;
+let linkRules = [];
+let urlCleaning = null;
+let titleRules = null;
+let urlFilters = null;
+let filteredOutCount = 0;
+let tabsFromAllWindows = false;
+let searchQuery = "";
 
 /**
  * Initialize tabs UI components
@@ -52,14 +117,33 @@ export async function initTabsUI(elements) {
   try {
     // Store DOM references
     tabPreview = elements.tabPreview;
-    includeTitlesToggle = elements.includeTitlesToggle;
+    linkContentSelect = elements.linkContentSelect;
     formatMarkdownToggle = elements.formatMarkdownToggle;
     formatTemplateInput = elements.formatTemplateInput;
     plainTextTemplateInput = elements.plainTextTemplateInput;
+    urlOnlyTemplateContainer = elements.urlOnlyTemplateContainer;
+    urlOnlyTemplateInput = elements.urlOnlyTemplateInput;
+    titleOnlyTemplateContainer = elements.titleOnlyTemplateContainer;
+    titleOnlyTemplateInput = elements.titleOnlyTemplateInput;
     copyAllTabsBtn = elements.copyAllTabsBtn;
     copySelectedTabsBtn = elements.copySelectedTabsBtn;
-    sortByPositionToggle = elements.sortByPositionToggle;
-    groupByDomainToggle = elements.groupByDomainToggle;
+    tabSearchInput = elements.tabSearchInput;
+    tabSearchActions = elements.tabSearchActions;
+    tabSearchCount = elements.tabSearchCount;
+    copyMatchingTabsBtn = elements.copyMatchingTabsBtn;
+    saveMatchingTabsBtn = elements.saveMatchingTabsBtn;
+    selectionCount = elements.selectionCount;
+    selectAllTabsBtn = elements.selectAllTabsBtn;
+    invertSelectionBtn = elements.invertSelectionBtn;
+    clearSelectionBtn = elements.clearSelectionBtn;
+    sortBySelect = elements.sortBySelect;
+    sortDirectionSelect = elements.sortDirectionSelect;
+    groupBySelect = elements.groupBySelect;
+    groupOptionsContainer = elements.groupOptionsContainer;
+    groupStyleSelect = elements.groupStyleSelect;
+    groupHeaderTemplateInput = elements.groupHeaderTemplateInput;
+    groupSpacingSelect = elements.groupSpacingSelect;
+    dedupeTabsToggle = elements.dedupeTabsToggle;
     showSelectedOnlyToggle = elements.showSelectedOnlyToggle;
     toggleLabel = elements.toggleLabel;
     snackbar = elements.snackbar;
@@ -73,11 +157,26 @@ export async function initTabsUI(elements) {
     formatTypeInput = elements.formatTypeInput;
     formatNameInput = elements.formatNameInput;
     formatPatternInput = elements.formatPatternInput;
+    formatValidationList = elements.formatValidationList;
+    formatLivePreview = elements.formatLivePreview;
+    headerTemplateInput = elements.headerTemplateInput;
+    footerTemplateInput = elements.footerTemplateInput;
+    itemSeparatorInput = elements.itemSeparatorInput;
+    trailingNewlineToggle = elements.trailingNewlineToggle;
+    lineEndingSelect = elements.lineEndingSelect;
+    richTextModeSelect = elements.richTextModeSelect;
+    outputModeSelect = elements.outputModeSelect;
+    tabularOptionsContainer = elements.tabularOptionsContainer;
+    tabularHeaderRowToggle = elements.tabularHeaderRowToggle;
+    tableGroupStyleSelect = elements.tableGroupStyleSelect;
+    jsonOptionsContainer = elements.jsonOptionsContainer;
+    jsonShapeSelect = elements.jsonShapeSelect;
+    jsonPrettyToggle = elements.jsonPrettyToggle;
 
     // Verify essential DOM elements are found
     const requiredElements = [
       { name: "tabPreview", element: tabPreview },
-      { name: "includeTitlesToggle", element: includeTitlesToggle },
+      { name: "linkContentSelect", element: linkContentSelect },
       { name: "formatMarkdownToggle", element: formatMarkdownToggle },
     ];
 
@@ -122,6 +221,8 @@ export async function initTabsUI(elements) {
     window.saveSettings = saveSettings;
     // Expose updateFormatExamples for dropdown changes
     window.updateFormatExamples = updateFormatExamples;
+    // Expose the popup selection for adding tabs to folders
+    window.getSelectedTabs = () => selectedTabs;
 
     // Initialize format manager
     formatManager.init({
@@ -153,8 +254,8 @@ function setupEventListeners() {
   console.log("Setting up tabs UI event listeners");
 
   // Format toggles
-  includeTitlesToggle.addEventListener("change", () => {
-    updateTabPreview();
+  linkContentSelect.addEventListener("change", () => {
+    updateTemplateVisibility();
     saveSettings();
     updateFormatExamples();
   });
@@ -186,17 +287,44 @@ function setupEventListeners() {
     updateFormatExamples();
   }); // Sort and group toggles
 
-  // Sort and group toggles
-  sortByPositionToggle.addEventListener("change", () => {
-    updateTabPreview();
-    saveSettings();
+  // URL only and title only templates
+  [urlOnlyTemplateInput, titleOnlyTemplateInput].forEach((input) => {
+    if (!input) return;
+    input.addEventListener("input", () => {
+      saveSettings();
+      updateFormatExamples();
+    });
   });
 
-  groupByDomainToggle.addEventListener("change", () => {
-    updateTabPreview();
-    saveSettings();
+  // Sort and group toggles
+  [sortBySelect, sortDirectionSelect].forEach((select) => {
+    if (!select) return;
+    select.addEventListener("change", () => {
+      updateSortDirectionState();
+      updateTabPreview();
+      saveSettings();
+    });
   });
 
+  if (groupBySelect) {
+    groupBySelect.addEventListener("change", async () => {
+      saveSettings();
+      updateGroupOptionsVisibility();
+      // Grouping by window reads every window, the other modes only this one
+      if ((groupBySelect.value === "window") !== tabsFromAllWindows) {
+        await refreshTabList();
+      }
+      updateTabPreview();
+    });
+  }
+
+  if (dedupeTabsToggle) {
+    dedupeTabsToggle.addEventListener("change", () => {
+      updateTabPreview();
+      saveSettings();
+    });
+  }
+
   showSelectedOnlyToggle.addEventListener("change", () => {
     forceShowSelected = showSelectedOnlyToggle.checked;
 
@@ -220,10 +348,92 @@ function setupEventListeners() {
     saveSettings();
   });
 
+  // Document options
+  [headerTemplateInput, footerTemplateInput, itemSeparatorInput]
+    .filter(Boolean)
+    .forEach((input) => input.addEventListener("input", saveSettings));
+  [trailingNewlineToggle, lineEndingSelect, richTextModeSelect]
+    .filter(Boolean)
+    .forEach((input) => input.addEventListener("change", saveSettings));
+
+  // Group layout options
+  [groupStyleSelect, groupSpacingSelect]
+    .filter(Boolean)
+    .forEach((select) => select.addEventListener("change", saveSettings));
+  if (groupHeaderTemplateInput) {
+    groupHeaderTemplateInput.addEventListener("input", saveSettings);
+  }
+
+  // Output mode and table columns
+  if (outputModeSelect) {
+    outputModeSelect.addEventListener("change", () => {
+      updateTemplateVisibility();
+      saveSettings();
+      updateFormatExamples();
+    });
+  }
+  [tabularOptionsContainer, jsonOptionsContainer]
+    .filter(Boolean)
+    .forEach((container) =>
+      container.querySelectorAll("input, select").forEach((input) =>
+        input.addEventListener("change", () => {
+          saveSettings();
+          updateFormatExamples();
+        })
+      )
+    );
+
   // Copy buttons
   copyAllTabsBtn.addEventListener("click", copyAllTabs);
   copySelectedTabsBtn.addEventListener("click", copySelectedTabs);
 
+  // Selection buttons work on the tabs the preview lists
+  if (selectAllTabsBtn) {
+    selectAllTabsBtn.addEventListener("click", () => {
+      setSelectedTabIds([
+        ...selectedTabs.map((tab) => tab.id),
+        ...previewTabIds,
+      ]);
+    });
+  }
+  if (invertSelectionBtn) {
+    invertSelectionBtn.addEventListener("click", () => {
+      const ids = new Set(selectedTabs.map((tab) => tab.id));
+      previewTabIds.forEach((id) =>
+        ids.has(id) ? ids.delete(id) : ids.add(id)
+      );
+      setSelectedTabIds(ids);
+    });
+  }
+  if (clearSelectionBtn) {
+    clearSelectionBtn.addEventListener("click", () => setSelectedTabIds([]));
+  }
+
+  // Search narrows the preview as you type
+  if (tabSearchInput) {
+    tabSearchInput.title = SEARCH_OPERATORS.map(
+      (operator) => `${operator.text} - ${operator.desc}`
+    ).join("\n");
+    tabSearchInput.addEventListener("input", () => {
+      searchQuery = tabSearchInput.value;
+      updateTabPreview();
+    });
+    tabSearchInput.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && tabSearchInput.value) {
+        e.preventDefault();
+        tabSearchInput.value = "";
+        searchQuery = "";
+        updateTabPreview();
+      }
+    });
+  }
+  if (copyMatchingTabsBtn) {
+    copyMatchingTabsBtn.addEventListener("click", copyMatchingTabs);
+  }
+  if (saveMatchingTabsBtn) {
+    saveMatchingTabsBtn.addEventListener("click", saveMatchingTabsToFolder);
+  }
+
   // Format add buttons
   if (addFormatBtn) {
     addFormatBtn.addEventListener("click", () => {
@@ -237,9 +447,53 @@ function setupEventListeners() {
         formatTypeInput,
         formatNameInput
       );
+      updateAddFormatValidation();
+    });
+  }
+  if (addPlainFormatBtn) {
+    addPlainFormatBtn.addEventListener("click", () => {
+      formatManager.showAddFormatModal(
+        "plaintext",
+        addFormatModal,
+        formatTypeInput,
+        formatNameInput
+      );
+      updateAddFormatValidation();
     });
   }
 
+  // Link rules are edited in the settings panel
+  document.addEventListener("linkRulesChanged", async () => {
+    linkRules = await loadLinkRules();
+    updateFormatExamples();
+  });
+
+  // URL cleaning is edited in the settings panel
+  document.addEventListener("urlCleaningChanged", async () => {
+    urlCleaning = await loadUrlCleaningSettings();
+    updateTabPreview();
+  });
+
+  // URL filters decide which tabs are listed at all
+  document.addEventListener("urlFiltersChanged", async () => {
+    urlFilters = await loadUrlFilters();
+    await refreshTabList();
+    checkSelectedTabs();
+    updateTabPreview();
+  });
+
+  // Title rules are edited in the settings panel
+  document.addEventListener("titleRulesChanged", async () => {
+    titleRules = await loadTitleRules();
+    updateFormatExamples();
+    updateTabPreview();
+  });
+
+  // Check the new pattern as it is typed
+  if (formatPatternInput) {
+    formatPatternInput.addEventListener("input", updateAddFormatValidation);
+  }
+
   // Close add format modal
   if (closeAddFormatModal) {
     closeAddFormatModal.addEventListener("click", () => {
@@ -266,35 +520,111 @@ function setupEventListeners() {
 }
 
 /**
- * Load tabs from Chrome API
+ * Gets the group layout options from the popup
+ * @returns {Object} - groupStyle, groupHeaderTemplate and groupSpacing
+ */
+function getGroupLayoutOptions() {
+  return {
+    groupStyle: groupStyleSelect?.value || "heading",
+    groupHeaderTemplate: groupHeaderTemplateInput?.value || "{{group}}",
+    groupSpacing: Number(groupSpacingSelect?.value ?? 1),
+  };
+}
+
+/**
+ * Gets the sort options from the popup controls
+ * Title rules come along so tabs sort by their cleaned titles.
+ * @returns {{sortBy: string, sortDirection: string, titleRules: Object}} -
+ *   Options for processTabs
+ */
+function getSortOptions() {
+  return {
+    sortBy: sortBySelect?.value || "position",
+    sortDirection: sortDirectionSelect?.value || "asc",
+    titleRules,
+  };
+}
+
+/**
+ * Disables the sort direction while tabs are left unsorted
+ */
+function updateSortDirectionState() {
+  if (!sortDirectionSelect) return;
+  sortDirectionSelect.disabled = sortBySelect?.value === "none";
+}
+
+/**
+ * Shows the group layout options only while tabs are grouped
+ */
+function updateGroupOptionsVisibility() {
+  if (!groupOptionsContainer) return;
+  groupOptionsContainer.style.display =
+    groupBySelect && groupBySelect.value !== "none" ? "block" : "none";
+}
+
+/**
+ * Reads the tabs to list, with their tab group names and window numbers
+ * Grouping by window lists the tabs of every window, otherwise only the
+ * current window's tabs are used.
  * @returns {Promise<void>}
  */
-export async function loadTabs() {
-  console.log("Loading tabs data");
+async function refreshTabList() {
+  tabsFromAllWindows = groupBySelect?.value === "window";
+  const tabs = await attachWindowNumbers(
+    await attachTabGroups(
+      await browser.tabs.query(
+        tabsFromAllWindows ? {} : { currentWindow: true }
+      )
+    )
+  );
+  console.log(
+    `Loaded ${tabs.length} tabs from ${
+      tabsFromAllWindows ? "all windows" : "current window"
+    }`
+  );
 
-  try {
-    // Get all tabs in current window
-    const tabs = await browser.tabs.query({ currentWindow: true });
-    console.log(`Loaded ${tabs.length} tabs from current window`);
+  // Update global state, leaving out tabs the URL filters exclude
+  currentTabs = filterTabsByUrl(tabs, urlFilters);
+  filteredOutCount = tabs.length - currentTabs.length;
 
-    // Get highlighted (selected) tabs
+  // The selection belongs to the popup, it only starts from the tab strip
+  // when several tabs were highlighted there
+  let selectedIds = selectedTabs.map((tab) => tab.id);
+  if (!selectionSeeded) {
     const highlightedTabs = await browser.tabs.query({
       currentWindow: true,
       highlighted: true,
     });
     console.log(`Found ${highlightedTabs.length} highlighted tabs`);
+    if (highlightedTabs.length > 1) {
+      selectedIds = highlightedTabs.map((tab) => tab.id);
+    }
+    selectionSeeded = true;
+  }
+  selectedTabs = currentTabs.filter((tab) => selectedIds.includes(tab.id));
+}
 
-    // Update global state
-    currentTabs = tabs;
-    selectedTabs = highlightedTabs;
+/**
+ * Load tabs from Chrome API
+ * @returns {Promise<void>}
+ */
+export async function loadTabs() {
+  console.log("Loading tabs data");
 
+  try {
     // Verify UI elements exist before proceeding
-    if (!tabPreview || !includeTitlesToggle || !formatMarkdownToggle) {
+    if (!tabPreview || !linkContentSelect || !formatMarkdownToggle) {
       throw new Error("Required UI elements not found during tabs loading");
     }
 
-    // Load saved settings
+    // Load saved settings first, the grouping decides which windows to read
     await loadSettings();
+    linkRules = await loadLinkRules();
+    urlCleaning = await loadUrlCleaningSettings();
+    titleRules = await loadTitleRules();
+    urlFilters = await loadUrlFilters();
+
+    await refreshTabList();
 
     try {
       // Update template visibility based on current format toggle state
@@ -351,23 +681,48 @@ async function loadSettings() {
   return new Promise((resolve) => {
     browser.storage.local.get(
       [
+        "linkContent",
         "includeTitles",
         "formatMarkdown",
         "formatTemplate",
         "plainTextTemplate",
+        "urlOnlyTemplate",
+        "titleOnlyTemplate",
+        "sortBy",
+        "sortDirection",
         "sortByPosition",
+        "groupBy",
         "groupByDomain",
+        "groupStyle",
+        "groupHeaderTemplate",
+        "groupSpacing",
+        "dedupeTabs",
         "showSelectedOnly",
+        "headerTemplate",
+        "footerTemplate",
+        "itemSeparator",
+        "trailingNewline",
+        "lineEnding",
+        "richTextMode",
+        "outputMode",
+        "tabularColumns",
+        "tabularHeaderRow",
+        "tableGroupStyle",
+        "jsonPretty",
+        "jsonShape",
       ],
       (result) => {
         // Format settings
-        includeTitlesToggle.checked = result.includeTitles !== false;
+        // Older versions only had an include titles switch
+        linkContentSelect.value = getLinkContent(result);
         formatMarkdownToggle.checked = result.formatMarkdown !== false;
 
         // Template settings - ensure we have defaults
         const markdownTemplate =
-          result.formatTemplate || "[{{title}}]({{url}})";
-        const plainTemplate = result.plainTextTemplate || "{{title}} - {{url}}";
+          result.formatTemplate || formatManager.getDefaultTemplate("markdown");
+        const plainTemplate =
+          result.plainTextTemplate ||
+          formatManager.getDefaultTemplate("plaintext");
 
         formatTemplateInput.value = markdownTemplate;
         plainTextTemplateInput.value = plainTemplate;
@@ -375,13 +730,95 @@ async function loadSettings() {
         // Set dropdown values based on the saved templates
         setDropdownValue(formatTemplateDropdown, markdownTemplate);
         setDropdownValue(plainTextTemplateDropdown, plainTemplate);
+        if (urlOnlyTemplateInput) {
+          urlOnlyTemplateInput.value =
+            result.urlOnlyTemplate ||
+            LINK_CONTENT_MODES.urlOnly.defaultTemplate;
+        }
+        if (titleOnlyTemplateInput) {
+          titleOnlyTemplateInput.value =
+            result.titleOnlyTemplate ||
+            LINK_CONTENT_MODES.titleOnly.defaultTemplate;
+        }
 
         // Display settings
-        sortByPositionToggle.checked = result.sortByPosition !== false;
-        groupByDomainToggle.checked = result.groupByDomain === true;
+        if (sortBySelect) {
+          // Older versions could only sort by position
+          sortBySelect.value =
+            result.sortBy ||
+            (result.sortByPosition === false ? "none" : "position");
+        }
+        if (sortDirectionSelect) {
+          sortDirectionSelect.value = result.sortDirection || "asc";
+        }
+        updateSortDirectionState();
+        if (groupBySelect) {
+          // Older versions only had a group by domain switch
+          groupBySelect.value =
+            result.groupBy || (result.groupByDomain ? "domain" : "none");
+        }
+        if (groupStyleSelect) {
+          groupStyleSelect.value = result.groupStyle || "heading";
+        }
+        if (groupHeaderTemplateInput) {
+          groupHeaderTemplateInput.value =
+            result.groupHeaderTemplate || "{{group}}";
+        }
+        if (groupSpacingSelect) {
+          groupSpacingSelect.value = String(
+            result.groupSpacing !== undefined ? result.groupSpacing : 1
+          );
+        }
+        updateGroupOptionsVisibility();
+        if (dedupeTabsToggle) {
+          dedupeTabsToggle.checked = result.dedupeTabs === true;
+        }
         showSelectedOnlyToggle.checked = result.showSelectedOnly === true;
         forceShowSelected = result.showSelectedOnly === true;
 
+        // Document settings
+        if (headerTemplateInput) {
+          headerTemplateInput.value = result.headerTemplate || "";
+        }
+        if (footerTemplateInput) {
+          footerTemplateInput.value = result.footerTemplate || "";
+        }
+        if (itemSeparatorInput) {
+          itemSeparatorInput.value = result.itemSeparator || "\\n";
+        }
+        if (trailingNewlineToggle) {
+          trailingNewlineToggle.checked = result.trailingNewline === true;
+        }
+        if (lineEndingSelect) {
+          lineEndingSelect.value = result.lineEnding || "lf";
+        }
+        if (richTextModeSelect) {
+          richTextModeSelect.value = result.richTextMode || "off";
+        }
+
+        // Output mode settings
+        if (outputModeSelect) {
+          outputModeSelect.value = result.outputMode || "template";
+        }
+        if (tabularOptionsContainer) {
+          const columns = result.tabularColumns || ["title", "url"];
+          getTabularColumnInputs().forEach((input) => {
+            input.checked = columns.includes(input.value);
+          });
+        }
+        if (tabularHeaderRowToggle) {
+          tabularHeaderRowToggle.checked = result.tabularHeaderRow !== false;
+        }
+        if (tableGroupStyleSelect) {
+          tableGroupStyleSelect.value = result.tableGroupStyle || "column";
+        }
+        if (jsonShapeSelect) {
+          jsonShapeSelect.value = result.jsonShape || "readable";
+        }
+        if (jsonPrettyToggle) {
+          jsonPrettyToggle.checked = result.jsonPretty !== false;
+        }
+
         // Log loaded settings for debugging
         console.log("Loaded settings:", {
           markdownTemplate,
@@ -395,6 +832,39 @@ async function loadSettings() {
   });
 }
 
+/**
+ * Lists problems with the pattern in the add format modal and previews it
+ * with the tabs in the current window
+ */
+function updateAddFormatValidation() {
+  if (!formatPatternInput) return;
+
+  const pattern = formatPatternInput.value;
+  const formatMarkdown = formatTypeInput?.value !== "plaintext";
+
+  if (formatValidationList) {
+    formatValidationList.innerHTML = "";
+    if (pattern.trim()) {
+      validateTemplate(pattern).forEach((issue) => {
+        const item = document.createElement("li");
+        item.className = `validation-${issue.level}`;
+        item.textContent = issue.message;
+        formatValidationList.appendChild(item);
+      });
+    }
+  }
+
+  if (formatLivePreview) {
+    formatLivePreview.textContent =
+      pattern.trim() && currentTabs.length > 0
+        ? previewTemplate(currentTabs, pattern, formatMarkdown, {
+            linkRules,
+            titleRules,
+          })
+        : "";
+  }
+}
+
 /**
  * Sets the dropdown value based on a template pattern
  * If the template isn't found in the dropdown options, uses the "custom" option
@@ -404,10 +874,23 @@ async function loadSettings() {
 function setDropdownValue(dropdown, templateValue) {
   if (!dropdown) return;
 
-  // Look for the option with matching value
-  let found = false;
-  for (let i = 0; i < dropdown.options.length; i++) {
-    if (dropdown.options[i].value === templateValue) {
+  const input =
+    dropdown === formatTemplateDropdown
+      ? formatTemplateInput
+      : plainTextTemplateInput;
+
+  // Keep the selected option if it already holds this template, saved
+  // formats can share a pattern
+  let found =
+    dropdown.value !== "custom" &&
+    getOptionTemplate(dropdown.options[dropdown.selectedIndex]) ===
+      templateValue;
+  for (let i = 0; !found && i < dropdown.options.length; i++) {
+    const option = dropdown.options[i];
+    if (
+      option.value !== "custom" &&
+      getOptionTemplate(option) === templateValue
+    ) {
       dropdown.selectedIndex = i;
       found = true;
       break;
@@ -419,17 +902,13 @@ function setDropdownValue(dropdown, templateValue) {
     for (let i = 0; i < dropdown.options.length; i++) {
       if (dropdown.options[i].value === "custom") {
         dropdown.selectedIndex = i;
-        if (dropdown === formatTemplateDropdown) {
-          formatTemplateInput.classList.add("show");
-        }
+        input.classList.add("show");
         break;
       }
     }
   } else {
     // Make sure the input is hidden if we found a matching option
-    if (dropdown === formatTemplateDropdown) {
-      formatTemplateInput.classList.remove("show");
-    }
+    input.classList.remove("show");
   }
 }
 
@@ -439,13 +918,35 @@ function setDropdownValue(dropdown, templateValue) {
 function saveSettings() {
   // Get current settings
   const settings = {
-    includeTitles: includeTitlesToggle.checked,
+    linkContent: linkContentSelect.value,
     formatMarkdown: formatMarkdownToggle.checked,
-    formatTemplate: formatTemplateInput.value || "[{{title}}]({{url}})",
-    plainTextTemplate: plainTextTemplateInput.value || "{{title}} - {{url}}",
-    sortByPosition: sortByPositionToggle.checked,
-    groupByDomain: groupByDomainToggle.checked,
+    formatTemplate:
+      formatTemplateInput.value || formatManager.getDefaultTemplate("markdown"),
+    plainTextTemplate:
+      plainTextTemplateInput.value ||
+      formatManager.getDefaultTemplate("plaintext"),
+    urlOnlyTemplate:
+      urlOnlyTemplateInput?.value || LINK_CONTENT_MODES.urlOnly.defaultTemplate,
+    titleOnlyTemplate:
+      titleOnlyTemplateInput?.value ||
+      LINK_CONTENT_MODES.titleOnly.defaultTemplate,
+    ...getSortOptions(),
+    groupBy: groupBySelect?.value || "none",
+    ...getGroupLayoutOptions(),
+    dedupeTabs: dedupeTabsToggle?.checked || false,
     showSelectedOnly: showSelectedOnlyToggle.checked,
+    headerTemplate: headerTemplateInput?.value || "",
+    footerTemplate: footerTemplateInput?.value || "",
+    itemSeparator: itemSeparatorInput?.value || "\\n",
+    trailingNewline: trailingNewlineToggle?.checked || false,
+    lineEnding: lineEndingSelect?.value || "lf",
+    richTextMode: richTextModeSelect?.value || "off",
+    outputMode: outputModeSelect?.value || "template",
+    tabularColumns: getSelectedTabularColumns(),
+    tabularHeaderRow: tabularHeaderRowToggle?.checked !== false,
+    tableGroupStyle: tableGroupStyleSelect?.value || "column",
+    jsonPretty: jsonPrettyToggle?.checked !== false,
+    jsonShape: jsonShapeSelect?.value || "readable",
   };
 
   // Save to storage
@@ -476,16 +977,49 @@ export function updateTabPreview() {
   }
 
   // Process tabs
-  const processedTabs = processTabs(currentTabs, {
-    sortByPosition: sortByPositionToggle?.checked || false,
-    groupByDomain: groupByDomainToggle?.checked || false,
+  const processOptions = {
+    ...getSortOptions(),
+    groupBy: groupBySelect?.value || "none",
     showSelectedOnly: forceShowSelected,
     selectedTabs: selectedTabs,
-  });
+    searchQuery,
+    dedupeTabs: dedupeTabsToggle?.checked || false,
+    urlCleaning,
+  };
+  const processedTabs = processTabs(currentTabs, processOptions);
+  previewTabIds = flattenTabGroups(processedTabs).map((tab) => tab.id);
+  updateSearchSummary(previewTabIds.length);
 
   // Clear the preview
   tabPreview.innerHTML = "";
 
+  // Say how many tabs the URL filters left out
+  if (filteredOutCount > 0) {
+    const filteredNote = document.createElement("div");
+    filteredNote.className = "duplicate-note";
+    filteredNote.textContent = `${filteredOutCount} ${
+      filteredOutCount === 1 ? "tab" : "tabs"
+    } hidden by URL filters`;
+    tabPreview.appendChild(filteredNote);
+  }
+
+  // Say how many duplicates were collapsed
+  if (processOptions.dedupeTabs) {
+    const duplicateCount =
+      flattenTabGroups(
+        processTabs(currentTabs, { ...processOptions, dedupeTabs: false })
+      ).length - flattenTabGroups(processedTabs).length;
+
+    if (duplicateCount > 0) {
+      const duplicateNote = document.createElement("div");
+      duplicateNote.className = "duplicate-note";
+      duplicateNote.textContent = `${duplicateCount} duplicate ${
+        duplicateCount === 1 ? "tab" : "tabs"
+      } collapsed`;
+      tabPreview.appendChild(duplicateNote);
+    }
+  }
+
   // Don't render if no tabs
   if (!processedTabs || processedTabs.length === 0) {
     tabPreview.innerHTML = `
@@ -502,16 +1036,19 @@ export function updateTabPreview() {
     return;
   }
 
-  // Handle domain groups if groupByDomain is true
-  if (groupByDomainToggle?.checked) {
+  // Render groups under the same headings the copied output gets
+  if (isGroupedTabs(processedTabs)) {
     processedTabs.forEach((group) => {
-      // Add domain header
-      const domainHeader = document.createElement("div");
-      domainHeader.className = "domain-header";
-      domainHeader.textContent = group.domain || "Unknown Domain";
-      tabPreview.appendChild(domainHeader);
+      const groupHeader = document.createElement("div");
+      groupHeader.className = "domain-header";
+      groupHeader.textContent = group.label;
+      if (TAB_GROUP_COLORS[group.color]) {
+        groupHeader.classList.add("tab-group-header");
+        groupHeader.style.borderLeftColor = TAB_GROUP_COLORS[group.color];
+      }
+      tabPreview.appendChild(groupHeader);
 
-      // Add tabs for this domain
+      // Add tabs for this group
       group.tabs.forEach((tab) => {
         const tabElement = createTabElement(tab);
         tabPreview.appendChild(tabElement);
@@ -526,6 +1063,29 @@ export function updateTabPreview() {
   }
 }
 
+/**
+ * Shows how many tabs match the search, with the actions for them
+ * @param {number} matchCount - Number of tabs left in the preview
+ */
+function updateSearchSummary(matchCount) {
+  if (!tabSearchActions) return;
+
+  const searching = hasSearchQuery(searchQuery);
+  tabSearchActions.style.display = searching ? "flex" : "none";
+  if (!searching) return;
+
+  if (tabSearchCount) {
+    tabSearchCount.textContent = `${matchCount} of ${currentTabs.length} ${
+      currentTabs.length === 1 ? "tab" : "tabs"
+    } match`;
+  }
+  [copyMatchingTabsBtn, saveMatchingTabsBtn]
+    .filter(Boolean)
+    .forEach((button) => {
+      button.disabled = matchCount === 0;
+    });
+}
+
 /**
  * Creates a tab element for preview
  * @param {Object} tab - Tab object
@@ -541,6 +1101,18 @@ function createTabElement(tab) {
     tabElement.classList.add("selected");
   }
 
+  // Create selection checkbox
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "tab-checkbox";
+  checkbox.checked = tabElement.classList.contains("selected");
+  checkbox.title = "Select tab, shift-click to select a range";
+  checkbox.addEventListener("click", (e) => {
+    // Don't activate the tab as well
+    e.stopPropagation();
+    handleTabCheckboxClick(tab, checkbox.checked, e.shiftKey);
+  });
+
   // Create favicon
   const favicon = document.createElement("img");
   favicon.className = "tab-favicon";
@@ -568,9 +1140,24 @@ function createTabElement(tab) {
   // Assemble tab
   tabContent.appendChild(title);
   tabContent.appendChild(url);
+  tabElement.appendChild(checkbox);
   tabElement.appendChild(favicon);
   tabElement.appendChild(tabContent);
 
+  // Add a button selecting every tab from the same domain
+  const domain = extractDomain(tab.url || "");
+  if (domain) {
+    const domainBtn = document.createElement("button");
+    domainBtn.className = "tab-domain-btn";
+    domainBtn.textContent = "Select site";
+    domainBtn.title = `Select all tabs from ${domain}`;
+    domainBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      selectTabsFromDomain(domain);
+    });
+    tabElement.appendChild(domainBtn);
+  }
+
   // Add click event to focus the tab
   tabElement.addEventListener("click", () => {
     browser.tabs.update(tab.id, { active: true });
@@ -580,7 +1167,77 @@ function createTabElement(tab) {
 }
 
 /**
- * Updates template visibility based on format toggle
+ * Replaces the popup selection and refreshes everything that shows it
+ * @param {Iterable<number>} tabIds - IDs of the tabs to select
+ */
+function setSelectedTabIds(tabIds) {
+  const ids = new Set(tabIds);
+  selectedTabs = currentTabs.filter((tab) => ids.has(tab.id));
+  checkSelectedTabs();
+  updateTabPreview();
+}
+
+/**
+ * Ticks or unticks a tab, or every tab between it and the last one
+ * clicked when shift is held
+ * @param {Object} tab - Tab that was clicked
+ * @param {boolean} checked - Whether its checkbox is now ticked
+ * @param {boolean} extendRange - Whether to apply to the whole range
+ */
+function handleTabCheckboxClick(tab, checked, extendRange) {
+  const ids = new Set(selectedTabs.map((selectedTab) => selectedTab.id));
+  const anchorIndex = previewTabIds.indexOf(selectionAnchorId);
+  const tabIndex = previewTabIds.indexOf(tab.id);
+
+  const rangeIds =
+    extendRange && anchorIndex !== -1 && tabIndex !== -1
+      ? previewTabIds.slice(
+          Math.min(anchorIndex, tabIndex),
+          Math.max(anchorIndex, tabIndex) + 1
+        )
+      : [tab.id];
+  rangeIds.forEach((id) => (checked ? ids.add(id) : ids.delete(id)));
+
+  selectionAnchorId = tab.id;
+  setSelectedTabIds(ids);
+}
+
+/**
+ * Adds every tab from a domain to the selection
+ * @param {string} domain - Domain as returned by extractDomain
+ */
+function selectTabsFromDomain(domain) {
+  const domainIds = currentTabs
+    .filter((tab) => extractDomain(tab.url || "") === domain)
+    .map((tab) => tab.id);
+  setSelectedTabIds([...selectedTabs.map((tab) => tab.id), ...domainIds]);
+  showSnackbar(`Selected ${domainIds.length} tab(s) from ${domain}`);
+}
+
+/**
+ * Gets the column checkboxes for CSV, TSV and Markdown table output
+ * @returns {HTMLInputElement[]} - Column checkboxes
+ */
+function getTabularColumnInputs() {
+  if (!tabularOptionsContainer) return [];
+  return Array.from(
+    tabularOptionsContainer.querySelectorAll("input[name='tabularColumn']")
+  );
+}
+
+/**
+ * Gets the ids of the checked table columns
+ * @returns {string[]} - Column ids
+ */
+function getSelectedTabularColumns() {
+  const columns = getTabularColumnInputs()
+    .filter((input) => input.checked)
+    .map((input) => input.value);
+  return columns.length > 0 ? columns : ["title", "url"];
+}
+
+/**
+ * Updates template visibility based on format toggle and output mode
  */
 function updateTemplateVisibility() {
   const formatTemplateContainer = document.getElementById(
@@ -596,7 +1253,50 @@ function updateTemplateVisibility() {
     return;
   }
 
-  if (formatMarkdownToggle.checked) {
+  // Templates only apply to template output
+  const outputMode = outputModeSelect?.value || "template";
+  const isMarkdownTable = outputMode === "markdownTable";
+  if (tabularOptionsContainer) {
+    tabularOptionsContainer.style.display =
+      outputMode === "csv" || outputMode === "tsv" || isMarkdownTable
+        ? "block"
+        : "none";
+  }
+  // Markdown tables always have a header row, and only they split by domain
+  const tabularHeaderRowOption = document.getElementById(
+    "tabularHeaderRowOption"
+  );
+  if (tabularHeaderRowOption) {
+    tabularHeaderRowOption.style.display = isMarkdownTable ? "none" : "flex";
+  }
+  const tableGroupStyleOption = document.getElementById(
+    "tableGroupStyleOption"
+  );
+  if (tableGroupStyleOption) {
+    tableGroupStyleOption.style.display = isMarkdownTable ? "flex" : "none";
+  }
+  if (jsonOptionsContainer) {
+    jsonOptionsContainer.style.display =
+      outputMode === "json" ? "block" : "none";
+  }
+
+  // URL only and title only output have a template of their own
+  const linkContent = linkContentSelect.value;
+  if (urlOnlyTemplateContainer) {
+    urlOnlyTemplateContainer.style.display =
+      outputMode === "template" && linkContent === "urlOnly" ? "block" : "none";
+  }
+  if (titleOnlyTemplateContainer) {
+    titleOnlyTemplateContainer.style.display =
+      outputMode === "template" && linkContent === "titleOnly"
+        ? "block"
+        : "none";
+  }
+
+  if (outputMode !== "template" || linkContent !== "titleAndUrl") {
+    formatTemplateContainer.style.display = "none";
+    plainTextTemplateContainer.style.display = "none";
+  } else if (formatMarkdownToggle.checked) {
     // Show markdown format, hide plaintext format
     formatTemplateContainer.style.display = "block";
     plainTextTemplateContainer.style.display = "none";
@@ -627,28 +1327,18 @@ function updateFormatExamples() {
 
   // Set default templates if they're empty
   if (!formatTemplateInput.value) {
-    formatTemplateInput.value = "[{{title}}]({{url}})";
+    formatTemplateInput.value = formatManager.getDefaultTemplate("markdown");
   }
 
   if (!plainTextTemplateInput.value) {
-    plainTextTemplateInput.value = "{{title}} - {{url}}";
+    plainTextTemplateInput.value =
+      formatManager.getDefaultTemplate("plaintext");
   }
 
-  const options = {
-    includeTitles: includeTitlesToggle.checked,
-    formatMarkdown: formatMarkdownToggle.checked,
-    formatTemplate: formatTemplateInput.value,
-    plainTextTemplate: plainTextTemplateInput.value,
-  };
+  const options = getFormatOptions();
 
   console.log("Format example options:", JSON.stringify(options));
 
-  // Force example to always have title and URL for better visualization
-  if (!options.includeTitles) {
-    console.log("Overriding includeTitles for example display");
-    options.includeTitles = true;
-  }
-
   const exampleText = generateFormatExample(options);
   console.log("Generated example text:", exampleText);
 
@@ -665,6 +1355,13 @@ function checkSelectedTabs() {
     return;
   }
 
+  if (selectionCount) {
+    selectionCount.textContent =
+      selectedTabs.length > 0
+        ? `${selectedTabs.length} of ${currentTabs.length} selected`
+        : "No tabs selected";
+  }
+
   if (selectedTabs.length > 0) {
     copySelectedTabsBtn.disabled = false;
 
@@ -694,10 +1391,10 @@ function addPlaceholderTooltips() {
     return;
   }
 
-  const placeholders = [
-    { text: "{{title}}", desc: "Tab title" },
-    { text: "{{url}}", desc: "Tab URL" },
-  ];
+  const placeholders = TEMPLATE_PLACEHOLDERS;
+  const filterHints = TEMPLATE_FILTER_HINTS.map(
+    (f) => `<div><code>${f.text}</code> - ${f.desc}</div>`
+  ).join("");
 
   const tooltipContainer = document.createElement("div");
   tooltipContainer.className = "template-tooltip";
@@ -712,6 +1409,8 @@ function addPlaceholderTooltips() {
     tooltipContainer.innerHTML = `
       <div class="tooltip-title">Available Placeholders:</div>
       ${tooltipContent}
+      <div class="tooltip-title">Filters:</div>
+      ${filterHints}
     `;
 
     const inputRect = formatTemplateInput.getBoundingClientRect();
@@ -732,6 +1431,8 @@ function addPlaceholderTooltips() {
     tooltipContainer.innerHTML = `
       <div class="tooltip-title">Available Placeholders:</div>
       ${tooltipContent}
+      <div class="tooltip-title">Filters:</div>
+      ${filterHints}
     `;
 
     const inputRect = plainTextTemplateInput.getBoundingClientRect();
@@ -745,28 +1446,69 @@ function addPlaceholderTooltips() {
   });
 }
 
+/**
+ * Collects the formatting options from the popup controls
+ * @returns {Object} - Options for formatTabs
+ */
+function getFormatOptions() {
+  return {
+    linkContent: linkContentSelect.value,
+    formatMarkdown: formatMarkdownToggle.checked,
+    formatTemplate: formatTemplateInput.value,
+    plainTextTemplate: plainTextTemplateInput.value,
+    urlOnlyTemplate: urlOnlyTemplateInput?.value,
+    titleOnlyTemplate: titleOnlyTemplateInput?.value,
+    groupBy: groupBySelect?.value || "none",
+    ...getGroupLayoutOptions(),
+    headerTemplate: headerTemplateInput?.value || "",
+    footerTemplate: footerTemplateInput?.value || "",
+    itemSeparator: itemSeparatorInput?.value || "\\n",
+    trailingNewline: trailingNewlineToggle?.checked || false,
+    lineEnding: lineEndingSelect?.value || "lf",
+    richTextMode: richTextModeSelect?.value || "off",
+    outputMode: outputModeSelect?.value || "template",
+    tabularColumns: getSelectedTabularColumns(),
+    tabularHeaderRow: tabularHeaderRowToggle?.checked !== false,
+    tableGroupStyle: tableGroupStyleSelect?.value || "column",
+    jsonPretty: jsonPrettyToggle?.checked !== false,
+    jsonShape: jsonShapeSelect?.value || "readable",
+    linkRules,
+    titleRules,
+  };
+}
+
+/**
+ * Formats processed tabs and copies them, adding an HTML version when
+ * rich text output is enabled
+ * @param {Array} processedTabs - Tabs or domain groups from processTabs
+ * @returns {Promise<void>}
+ */
+async function copyFormattedTabs(processedTabs) {
+  const options = getFormatOptions();
+  const formattedText = formatTabs(processedTabs, options);
+  const html =
+    options.richTextMode !== "off"
+      ? formatTabsAsHtml(processedTabs, options)
+      : undefined;
+
+  await copyToClipboard(formattedText, html);
+}
+
 /**
  * Copies all tabs to clipboard
  */
 export async function copyAllTabs() {
   try {
-    // Process tabs
-    const processedTabs = processTabs(currentTabs, {
-      sortByPosition: sortByPositionToggle.checked,
-      groupByDomain: groupByDomainToggle.checked,
-    });
-
-    // Format tabs
-    const formattedText = formatTabs(processedTabs, {
-      includeTitles: includeTitlesToggle.checked,
-      formatMarkdown: formatMarkdownToggle.checked,
-      formatTemplate: formatTemplateInput.value,
-      plainTextTemplate: plainTextTemplateInput.value,
-      groupByDomain: groupByDomainToggle.checked,
+    // Process tabs, cleaning URLs before they are formatted
+    const processedTabs = processTabs(cleanTabUrls(currentTabs, urlCleaning), {
+      ...getSortOptions(),
+      groupBy: groupBySelect?.value || "none",
+      dedupeTabs: dedupeTabsToggle?.checked || false,
+      urlCleaning,
     });
 
-    // Copy to clipboard
-    await copyToClipboard(formattedText);
+    // Format tabs and copy to clipboard
+    await copyFormattedTabs(processedTabs);
     showSnackbar("All tabs copied to clipboard");
   } catch (error) {
     console.error("Error copying all tabs:", error);
@@ -774,6 +1516,58 @@ export async function copyAllTabs() {
   }
 }
 
+/**
+ * Copies the tabs matching the search, as they appear in the preview
+ */
+export async function copyMatchingTabs() {
+  try {
+    const processedTabs = processTabs(cleanTabUrls(currentTabs, urlCleaning), {
+      ...getSortOptions(),
+      groupBy: groupBySelect?.value || "none",
+      showSelectedOnly: forceShowSelected,
+      selectedTabs,
+      searchQuery,
+      dedupeTabs: dedupeTabsToggle?.checked || false,
+      urlCleaning,
+    });
+    const count = flattenTabGroups(processedTabs).length;
+    if (count === 0) {
+      showSnackbar("No tabs match the search");
+      return;
+    }
+
+    await copyFormattedTabs(processedTabs);
+    showSnackbar(`${count} matching tab(s) copied to clipboard`);
+  } catch (error) {
+    console.error("Error copying matching tabs:", error);
+    showSnackbar("Error copying tabs");
+  }
+}
+
+/**
+ * Offers to save the tabs matching the search in a new folder
+ */
+function saveMatchingTabsToFolder() {
+  const matchingTabs = processTabs(currentTabs, {
+    ...getSortOptions(),
+    showSelectedOnly: forceShowSelected,
+    selectedTabs,
+    searchQuery,
+  });
+  if (matchingTabs.length === 0) {
+    showSnackbar("No tabs match the search");
+    return;
+  }
+
+  // The folders UI owns the create folder dialog and saves the tabs through
+  // the same URL filters and dedupe as the other save paths
+  document.dispatchEvent(
+    new CustomEvent("saveTabsToFolder", {
+      detail: { tabs: matchingTabs, label: "Tabs matching the search" },
+    })
+  );
+}
+
 /**
  * Handles copying selected tabs to clipboard
  */
@@ -786,42 +1580,23 @@ export async function copySelectedTabs() {
 
   try {
     // Get options
-    const processedTabs = processTabs(selectedTabs, {
-      sortByPosition: sortByPositionToggle?.checked || false,
-      groupByDomain: groupByDomainToggle?.checked || false,
-    });
-
-    // Format according to settings
-    const formattedText = formatTabs(processedTabs, {
-      includeTitles: includeTitlesToggle.checked,
-      formatMarkdown: formatMarkdownToggle.checked,
-      formatTemplate: formatTemplateInput.value,
-      plainTextTemplate: plainTextTemplateInput.value,
-      groupByDomain: groupByDomainToggle?.checked || false,
+    const processedTabs = processTabs(cleanTabUrls(selectedTabs, urlCleaning), {
+      ...getSortOptions(),
+      groupBy: groupBySelect?.value || "none",
+      dedupeTabs: dedupeTabsToggle?.checked || false,
+      urlCleaning,
     });
 
-    // Copy to clipboard
-    await copyToClipboard(formattedText);
-    showSnackbar(`${selectedTabs.length} tab(s) copied to clipboard`);
+    // Format according to settings and copy to clipboard
+    await copyFormattedTabs(processedTabs);
+    const count = flattenTabGroups(processedTabs).length;
+    showSnackbar(`${count} tab(s) copied to clipboard`);
   } catch (error) {
     console.error("Error copying selected tabs:", error);
     showSnackbar("Error copying tabs");
   }
 }
 
-/**
- * Handles tab selection change
- * @param {number[]} tabIds - Selected tab IDs
- */
-export function handleTabSelectionChange(tabIds) {
-  // Update selected tabs
-  selectedTabs = currentTabs.filter((tab) => tabIds.includes(tab.id));
-
-  // Update UI
-  checkSelectedTabs();
-  updateTabPreview();
-}
-
 /**
  * Shows a snackbar message
  * @param {string} message - Message to show
@@ -0,0 +1,330 @@
+/**
+ * title-rules-ui.js - Settings section for cleaning up page titles
+ */
+
+import "../js/browser-polyfill.js";
+import {
+  loadTitleRules,
+  saveTitleRules,
+  createTitleRule,
+  applyTitleRules,
+  validateTitleRulePattern,
+  BUILT_IN_TITLE_RULES,
+} from "../js/title-rules.js";
+import { customConfirm } from "../js/custom-confirm.js";
+import { createElement, showSnackbar } from "../js/utils.js";
+
+// DOM element references
+let builtInTitleRulesList;
+let titleRulesList;
+let addTitleRuleForm;
+let titleRuleDomainInput;
+let titleRuleFindInput;
+let titleRuleReplaceInput;
+let titleRulesPreview;
+
+// Settings as currently saved
+let settings = null;
+
+// Tabs of the current window, for the preview
+let previewTabs = [];
+
+/**
+ * Initialize the title cleanup section
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+export async function initTitleRulesUI(elements) {
+  builtInTitleRulesList = elements.builtInTitleRulesList;
+  titleRulesList = elements.titleRulesList;
+  addTitleRuleForm = elements.addTitleRuleForm;
+  titleRuleDomainInput = elements.titleRuleDomainInput;
+  titleRuleFindInput = elements.titleRuleFindInput;
+  titleRuleReplaceInput = elements.titleRuleReplaceInput;
+  titleRulesPreview = elements.titleRulesPreview;
+
+  if (!titleRulesList) {
+    console.warn("Title rules list not found");
+    return;
+  }
+
+  settings = await loadTitleRules();
+
+  [
+    [elements.titleRulesEnabled, "enabled"],
+    [elements.titleRulesApplyToFolders, "applyToFolders"],
+  ].forEach(([toggle, key]) => {
+    if (!toggle) return;
+    toggle.checked = settings[key];
+    toggle.addEventListener("change", () => {
+      settings[key] = toggle.checked;
+      commitSettings();
+    });
+  });
+
+  if (addTitleRuleForm) {
+    addTitleRuleForm.addEventListener("submit", handleAddTitleRule);
+  }
+
+  // Refresh the preview with the current tabs whenever the section opens
+  document.addEventListener("titleRulesShown", loadPreviewTabs);
+
+  renderTitleRules();
+
+  console.log("Title rules UI initialized");
+}
+
+/**
+ * Saves the settings and lets the rest of the popup know they changed
+ * @returns {Promise<void>}
+ */
+async function commitSettings() {
+  await saveTitleRules(settings);
+  document.dispatchEvent(new CustomEvent("titleRulesChanged"));
+  renderTitleRules();
+}
+
+/**
+ * Renders the built-in rules, the user rules and the preview
+ */
+function renderTitleRules() {
+  renderBuiltInRules();
+  renderUserRules();
+  renderPreview();
+}
+
+/**
+ * Renders the built-in rules with a switch for each
+ */
+function renderBuiltInRules() {
+  if (!builtInTitleRulesList) return;
+  builtInTitleRulesList.innerHTML = "";
+
+  BUILT_IN_TITLE_RULES.forEach((rule) => {
+    const enabled = !settings.disabledBuiltIns.includes(rule.id);
+    const item = createElement("li", {
+      className: enabled ? "rules-item" : "rules-item disabled",
+    });
+
+    const toggle = createElement("input", {
+      type: "checkbox",
+      checked: enabled,
+      title: enabled ? "Disable rule" : "Enable rule",
+    });
+    toggle.addEventListener("change", () => {
+      settings.disabledBuiltIns = toggle.checked
+        ? settings.disabledBuiltIns.filter((id) => id !== rule.id)
+        : [...settings.disabledBuiltIns, rule.id];
+      commitSettings();
+    });
+
+    const label = createElement("div", {
+      className: "rules-fields",
+      textContent: rule.name,
+      title: rule.find,
+    });
+
+    item.append(toggle, label);
+    builtInTitleRulesList.appendChild(item);
+  });
+}
+
+/**
+ * Renders the user rules in the order they are applied
+ */
+function renderUserRules() {
+  titleRulesList.innerHTML = "";
+
+  if (settings.rules.length === 0) {
+    titleRulesList.appendChild(
+      createElement("li", {
+        className: "rules-empty",
+        textContent: "No rules of your own yet.",
+      })
+    );
+    return;
+  }
+
+  settings.rules.forEach((rule, index) => {
+    titleRulesList.appendChild(createRuleItem(rule, index));
+  });
+}
+
+/**
+ * Creates the editable row for a user rule
+ * @param {Object} rule - Title rule
+ * @param {number} index - Position in the list
+ * @returns {HTMLElement} - List item
+ */
+function createRuleItem(rule, index) {
+  const item = createElement("li", {
+    className: rule.enabled ? "rules-item" : "rules-item disabled",
+  });
+
+  const enabledToggle = createElement("input", {
+    type: "checkbox",
+    checked: rule.enabled,
+    title: rule.enabled ? "Disable rule" : "Enable rule",
+  });
+  enabledToggle.addEventListener("change", () => {
+    rule.enabled = enabledToggle.checked;
+    commitSettings();
+  });
+
+  const fields = createElement("div", { className: "rules-fields" });
+  [
+    { key: "domain", placeholder: "Every site" },
+    { key: "find", placeholder: "Find" },
+    { key: "replace", placeholder: "Replace with nothing" },
+  ].forEach(({ key, placeholder }) => {
+    const input = createElement("input", {
+      type: "text",
+      className: "text-field",
+      value: rule[key],
+      placeholder,
+      title: placeholder,
+    });
+    input.addEventListener("change", () => updateRuleField(rule, key, input));
+    fields.appendChild(input);
+  });
+
+  const actions = createElement("div", { className: "rules-actions" });
+  const upBtn = createElement("button", {
+    type: "button",
+    textContent: "↑",
+    title: "Move up",
+    disabled: index === 0,
+  });
+  upBtn.addEventListener("click", () => moveRule(index, index - 1));
+  const downBtn = createElement("button", {
+    type: "button",
+    textContent: "↓",
+    title: "Move down",
+    disabled: index === settings.rules.length - 1,
+  });
+  downBtn.addEventListener("click", () => moveRule(index, index + 1));
+  const deleteBtn = createElement("button", {
+    type: "button",
+    textContent: "✕",
+    title: "Delete rule",
+  });
+  deleteBtn.addEventListener("click", async () => {
+    if (!(await customConfirm("Delete this title rule?"))) return;
+    settings.rules = settings.rules.filter((r) => r.id !== rule.id);
+    commitSettings();
+  });
+  actions.append(upBtn, downBtn, deleteBtn);
+
+  item.append(enabledToggle, fields, actions);
+  return item;
+}
+
+/**
+ * Saves an edited rule field
+ * @param {Object} rule - Title rule
+ * @param {string} key - "domain", "find" or "replace"
+ * @param {HTMLInputElement} input - Field that changed
+ */
+function updateRuleField(rule, key, input) {
+  // Spaces can matter in the replacement, so only trim the other fields
+  const value = key === "replace" ? input.value : input.value.trim();
+
+  if (key === "find") {
+    const error = validateTitleRulePattern(value);
+    if (error) {
+      input.value = rule.find;
+      showSnackbar(error);
+      return;
+    }
+  }
+
+  rule[key] = key === "domain" ? value.toLowerCase() : value;
+  commitSettings();
+}
+
+/**
+ * Moves a user rule earlier or later in the order
+ * @param {number} fromIndex - Current position
+ * @param {number} toIndex - New position
+ */
+function moveRule(fromIndex, toIndex) {
+  if (toIndex < 0 || toIndex >= settings.rules.length) return;
+  const [rule] = settings.rules.splice(fromIndex, 1);
+  settings.rules.splice(toIndex, 0, rule);
+  commitSettings();
+}
+
+/**
+ * Handles the add rule form
+ * @param {Event} e - Submit event
+ */
+async function handleAddTitleRule(e) {
+  e.preventDefault();
+
+  const find = titleRuleFindInput.value.trim();
+  const error = validateTitleRulePattern(find);
+  if (error) {
+    showSnackbar(error);
+    return;
+  }
+
+  settings.rules = [
+    ...settings.rules,
+    createTitleRule(
+      titleRuleDomainInput.value,
+      find,
+      titleRuleReplaceInput.value
+    ),
+  ];
+  await commitSettings();
+  addTitleRuleForm.reset();
+  showSnackbar("Title rule added");
+}
+
+/**
+ * Loads the current window's tabs and refreshes the preview
+ * @returns {Promise<void>}
+ */
+async function loadPreviewTabs() {
+  try {
+    previewTabs = await browser.tabs.query({ currentWindow: true });
+  } catch (error) {
+    console.error("Error loading tabs for title preview:", error);
+    previewTabs = [];
+  }
+  renderPreview();
+}
+
+/**
+ * Lists the current tabs whose titles the rules would change
+ */
+function renderPreview() {
+  if (!titleRulesPreview) return;
+  titleRulesPreview.innerHTML = "";
+
+  const changes = previewTabs
+    .map((tab) => ({
+      before: tab.title || "",
+      after: applyTitleRules(tab.title || "", tab.url || "", settings),
+    }))
+    .filter(({ before, after }) => before !== after);
+
+  if (changes.length === 0) {
+    titleRulesPreview.appendChild(
+      createElement("li", {
+        className: "rules-empty",
+        textContent: "No titles in this window would change.",
+      })
+    );
+    return;
+  }
+
+  changes.forEach(({ before, after }) => {
+    const item = createElement("li");
+    item.append(
+      createElement("span", { className: "before", textContent: before }),
+      createElement("span", { className: "after", textContent: after })
+    );
+    titleRulesPreview.appendChild(item);
+  });
+}
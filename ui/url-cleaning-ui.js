@@ -0,0 +1,231 @@
+/**
+ * url-cleaning-ui.js - Settings section for cleaning copied URLs
+ */
+
+import {
+  loadUrlCleaningSettings,
+  saveUrlCleaningSettings,
+  createDomainRule,
+  cleanUrl,
+  DEFAULT_TRACKING_PARAMS,
+  DEFAULT_DOMAIN_TRACKING_PARAMS,
+} from "../js/url-cleaner.js";
+import { customConfirm } from "../js/custom-confirm.js";
+import { createElement, showSnackbar } from "../js/utils.js";
+
+// DOM element references
+let urlCleaningRulesList;
+let addUrlCleaningRuleForm;
+let urlCleaningRuleDomainInput;
+let urlCleaningRuleParamsInput;
+let urlCleaningTestInput;
+let urlCleaningTestResult;
+
+// Settings as currently saved
+let settings = null;
+
+// Toggle element keys and the setting each one controls
+const TOGGLES = {
+  urlCleaningEnabled: "enabled",
+  urlCleaningStripTracking: "stripTracking",
+  urlCleaningUnwrapRedirects: "unwrapRedirects",
+  urlCleaningDropFragments: "dropFragments",
+};
+
+/**
+ * Initialize the URL cleaning section
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+export async function initUrlCleaningUI(elements) {
+  urlCleaningRulesList = elements.urlCleaningRulesList;
+  addUrlCleaningRuleForm = elements.addUrlCleaningRuleForm;
+  urlCleaningRuleDomainInput = elements.urlCleaningRuleDomainInput;
+  urlCleaningRuleParamsInput = elements.urlCleaningRuleParamsInput;
+  urlCleaningTestInput = elements.urlCleaningTestInput;
+  urlCleaningTestResult = elements.urlCleaningTestResult;
+
+  if (!urlCleaningRulesList) {
+    console.warn("URL cleaning rules list not found");
+    return;
+  }
+
+  settings = await loadUrlCleaningSettings();
+
+  Object.entries(TOGGLES).forEach(([elementKey, settingKey]) => {
+    const toggle = elements[elementKey];
+    if (!toggle) return;
+    toggle.checked = settings[settingKey];
+    toggle.addEventListener("change", () => {
+      settings[settingKey] = toggle.checked;
+      commitSettings();
+    });
+  });
+
+  if (elements.trackingParamsHint) {
+    const siteParams = DEFAULT_DOMAIN_TRACKING_PARAMS.map(
+      ({ domain, params }) => `${params.join(", ")} on ${domain}`
+    );
+    elements.trackingParamsHint.textContent = `Tracking parameters: ${DEFAULT_TRACKING_PARAMS.join(
+      ", "
+    )}, and ${siteParams.join("; ")}`;
+  }
+
+  if (addUrlCleaningRuleForm) {
+    addUrlCleaningRuleForm.addEventListener("submit", handleAddDomainRule);
+  }
+  if (urlCleaningTestInput) {
+    urlCleaningTestInput.addEventListener("input", updateTestResult);
+  }
+
+  renderDomainRules();
+
+  console.log("URL cleaning UI initialized");
+}
+
+/**
+ * Saves the settings and lets the rest of the popup know they changed
+ * @returns {Promise<void>}
+ */
+async function commitSettings() {
+  await saveUrlCleaningSettings(settings);
+  document.dispatchEvent(new CustomEvent("urlCleaningChanged"));
+  renderDomainRules();
+  updateTestResult();
+}
+
+/**
+ * Renders the per-domain parameter rules
+ */
+function renderDomainRules() {
+  urlCleaningRulesList.innerHTML = "";
+
+  if (settings.domainRules.length === 0) {
+    urlCleaningRulesList.appendChild(
+      createElement("li", {
+        className: "rules-empty",
+        textContent: "No domain rules yet.",
+      })
+    );
+    return;
+  }
+
+  settings.domainRules.forEach((rule) => {
+    urlCleaningRulesList.appendChild(createDomainRuleItem(rule));
+  });
+}
+
+/**
+ * Creates the editable row for a domain rule
+ * @param {Object} rule - Domain rule
+ * @returns {HTMLElement} - List item
+ */
+function createDomainRuleItem(rule) {
+  const item = createElement("li", { className: "rules-item" });
+
+  const fields = createElement("div", { className: "rules-fields" });
+  const domainInput = createElement("input", {
+    type: "text",
+    className: "text-field",
+    value: rule.domain,
+    placeholder: "Domain",
+    title: "Domain",
+  });
+  const paramsInput = createElement("input", {
+    type: "text",
+    className: "text-field",
+    value: rule.params.join(", "),
+    placeholder: "Parameters",
+    title: "Parameters, separated by commas",
+  });
+  domainInput.addEventListener("change", () => {
+    const domain = domainInput.value.trim().toLowerCase();
+    if (!domain) {
+      domainInput.value = rule.domain;
+      showSnackbar("Domain can't be empty");
+      return;
+    }
+    rule.domain = domain;
+    commitSettings();
+  });
+  paramsInput.addEventListener("change", () => {
+    const params = parseParams(paramsInput.value);
+    if (params.length === 0) {
+      paramsInput.value = rule.params.join(", ");
+      showSnackbar("Enter at least one parameter");
+      return;
+    }
+    rule.params = params;
+    commitSettings();
+  });
+  fields.append(domainInput, paramsInput);
+
+  const actions = createElement("div", { className: "rules-actions" });
+  const deleteBtn = createElement("button", {
+    type: "button",
+    textContent: "✕",
+    title: "Delete rule",
+  });
+  deleteBtn.addEventListener("click", async () => {
+    if (!(await customConfirm(`Delete the rule for ${rule.domain}?`))) return;
+    settings.domainRules = settings.domainRules.filter((r) => r.id !== rule.id);
+    commitSettings();
+  });
+  actions.appendChild(deleteBtn);
+
+  item.append(fields, actions);
+  return item;
+}
+
+/**
+ * Splits a comma separated parameter list
+ * @param {string} text - Parameter list
+ * @returns {string[]} - Parameter names
+ */
+function parseParams(text) {
+  return text
+    .split(",")
+    .map((param) => param.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Handles the add domain rule form
+ * @param {Event} e - Submit event
+ */
+async function handleAddDomainRule(e) {
+  e.preventDefault();
+
+  const domain = urlCleaningRuleDomainInput.value.trim();
+  const params = parseParams(urlCleaningRuleParamsInput.value);
+
+  if (!domain || params.length === 0) {
+    showSnackbar("Please enter a domain and at least one parameter");
+    return;
+  }
+
+  settings.domainRules = [
+    ...settings.domainRules,
+    createDomainRule(domain, params),
+  ];
+  await commitSettings();
+  addUrlCleaningRuleForm.reset();
+  showSnackbar(`Rule for ${domain} added`);
+}
+
+/**
+ * Shows how the test URL looks after cleaning
+ */
+function updateTestResult() {
+  if (!urlCleaningTestInput || !urlCleaningTestResult) return;
+
+  const url = urlCleaningTestInput.value.trim();
+  if (!url) {
+    urlCleaningTestResult.textContent = "";
+    return;
+  }
+
+  const cleaned = cleanUrl(url, settings);
+  urlCleaningTestResult.textContent =
+    cleaned === url ? "Nothing to clean" : cleaned;
+}
@@ -0,0 +1,275 @@
+/**
+ * url-filters-ui.js - Settings section for the URL include and exclude rules
+ */
+
+import {
+  loadUrlFilters,
+  saveUrlFilters,
+  createUrlFilterRule,
+  validateUrlFilterRule,
+  getDefaultUrlFilterRules,
+  isUrlAllowed,
+  URL_FILTER_TYPES,
+} from "../js/url-filters.js";
+import { customConfirm } from "../js/custom-confirm.js";
+import { createElement, showSnackbar } from "../js/utils.js";
+
+// DOM element references
+let urlFilterRulesList;
+let addUrlFilterRuleForm;
+let urlFilterRuleActionSelect;
+let urlFilterRuleTypeSelect;
+let urlFilterRulePatternInput;
+let urlFiltersTestInput;
+let urlFiltersTestResult;
+
+// Settings as currently saved
+let settings = null;
+
+/**
+ * Initialize the URL filters section
+ * @param {Object} elements - DOM elements
+ * @returns {Promise<void>}
+ */
+export async function initUrlFiltersUI(elements) {
+  urlFilterRulesList = elements.urlFilterRulesList;
+  addUrlFilterRuleForm = elements.addUrlFilterRuleForm;
+  urlFilterRuleActionSelect = elements.urlFilterRuleActionSelect;
+  urlFilterRuleTypeSelect = elements.urlFilterRuleTypeSelect;
+  urlFilterRulePatternInput = elements.urlFilterRulePatternInput;
+  urlFiltersTestInput = elements.urlFiltersTestInput;
+  urlFiltersTestResult = elements.urlFiltersTestResult;
+
+  if (!urlFilterRulesList) {
+    console.warn("URL filter rules list not found");
+    return;
+  }
+
+  settings = await loadUrlFilters();
+
+  if (elements.urlFiltersEnabled) {
+    elements.urlFiltersEnabled.checked = settings.enabled;
+    elements.urlFiltersEnabled.addEventListener("change", () => {
+      settings.enabled = elements.urlFiltersEnabled.checked;
+      commitSettings();
+    });
+  }
+
+  if (addUrlFilterRuleForm) {
+    addUrlFilterRuleForm.addEventListener("submit", handleAddFilterRule);
+  }
+  if (urlFilterRuleTypeSelect && urlFilterRulePatternInput) {
+    urlFilterRuleTypeSelect.addEventListener("change", () => {
+      urlFilterRulePatternInput.placeholder =
+        URL_FILTER_TYPES[urlFilterRuleTypeSelect.value].placeholder;
+    });
+  }
+  if (urlFiltersTestInput) {
+    urlFiltersTestInput.addEventListener("input", updateTestResult);
+  }
+  if (elements.restoreUrlFiltersBtn) {
+    elements.restoreUrlFiltersBtn.addEventListener("click", restoreDefaults);
+  }
+
+  renderFilterRules();
+
+  console.log("URL filters UI initialized");
+}
+
+/**
+ * Saves the settings and lets the rest of the popup know they changed
+ * @returns {Promise<void>}
+ */
+async function commitSettings() {
+  await saveUrlFilters(settings);
+  document.dispatchEvent(new CustomEvent("urlFiltersChanged"));
+  renderFilterRules();
+  updateTestResult();
+}
+
+/**
+ * Renders the filter rules
+ */
+function renderFilterRules() {
+  urlFilterRulesList.innerHTML = "";
+
+  if (settings.rules.length === 0) {
+    urlFilterRulesList.appendChild(
+      createElement("li", {
+        className: "rules-empty",
+        textContent: "No filter rules, every tab is copied.",
+      })
+    );
+    return;
+  }
+
+  settings.rules.forEach((rule) => {
+    urlFilterRulesList.appendChild(createFilterRuleItem(rule));
+  });
+}
+
+/**
+ * Creates a dropdown for one of a rule's settings
+ * @param {Object<string, string>} options - Option values and labels
+ * @param {string} value - Selected value
+ * @param {string} title - Tooltip
+ * @returns {HTMLSelectElement} - Dropdown
+ */
+function createRuleSelect(options, value, title) {
+  const select = createElement("select", {
+    className: "format-dropdown",
+    title,
+  });
+  Object.entries(options).forEach(([optionValue, label]) => {
+    select.appendChild(
+      createElement("option", { value: optionValue, textContent: label })
+    );
+  });
+  select.value = value;
+  return select;
+}
+
+/**
+ * Creates the editable row for a filter rule
+ * @param {Object} rule - Filter rule
+ * @returns {HTMLElement} - List item
+ */
+function createFilterRuleItem(rule) {
+  const item = createElement("li", {
+    className: rule.enabled ? "rules-item" : "rules-item disabled",
+  });
+
+  const enabledToggle = createElement("input", {
+    type: "checkbox",
+    checked: rule.enabled,
+    title: rule.enabled ? "Disable rule" : "Enable rule",
+  });
+  enabledToggle.addEventListener("change", () => {
+    rule.enabled = enabledToggle.checked;
+    commitSettings();
+  });
+
+  const fields = createElement("div", { className: "rules-fields" });
+  const selects = createElement("div", { className: "rules-form-row" });
+  const actionSelect = createRuleSelect(
+    { exclude: "Exclude", include: "Include" },
+    rule.action,
+    "Include or exclude matching tabs"
+  );
+  const typeSelect = createRuleSelect(
+    Object.fromEntries(
+      Object.entries(URL_FILTER_TYPES).map(([type, { label }]) => [type, label])
+    ),
+    rule.type,
+    "Pattern type"
+  );
+  selects.append(actionSelect, typeSelect);
+
+  const patternInput = createElement("input", {
+    type: "text",
+    className: "text-field",
+    value: rule.pattern,
+    placeholder: "Pattern",
+    title: "Pattern",
+  });
+
+  actionSelect.addEventListener("change", () => {
+    rule.action = actionSelect.value;
+    commitSettings();
+  });
+  typeSelect.addEventListener("change", () => {
+    const error = validateUrlFilterRule(typeSelect.value, rule.pattern);
+    if (error) {
+      typeSelect.value = rule.type;
+      showSnackbar(error);
+      return;
+    }
+    rule.type = typeSelect.value;
+    commitSettings();
+  });
+  patternInput.addEventListener("change", () => {
+    const pattern = patternInput.value.trim();
+    const error = validateUrlFilterRule(rule.type, pattern);
+    if (error) {
+      patternInput.value = rule.pattern;
+      showSnackbar(error);
+      return;
+    }
+    rule.pattern = rule.type === "domain" ? pattern.toLowerCase() : pattern;
+    commitSettings();
+  });
+  fields.append(selects, patternInput);
+
+  const actions = createElement("div", { className: "rules-actions" });
+  const deleteBtn = createElement("button", {
+    type: "button",
+    textContent: "✕",
+    title: "Delete rule",
+  });
+  deleteBtn.addEventListener("click", async () => {
+    if (!(await customConfirm(`Delete the rule for ${rule.pattern}?`))) return;
+    settings.rules = settings.rules.filter((r) => r.id !== rule.id);
+    commitSettings();
+  });
+  actions.appendChild(deleteBtn);
+
+  item.append(enabledToggle, fields, actions);
+  return item;
+}
+
+/**
+ * Handles the add rule form
+ * @param {Event} e - Submit event
+ */
+async function handleAddFilterRule(e) {
+  e.preventDefault();
+
+  const type = urlFilterRuleTypeSelect.value;
+  const pattern = urlFilterRulePatternInput.value.trim();
+  const error = validateUrlFilterRule(type, pattern);
+  if (error) {
+    showSnackbar(error);
+    return;
+  }
+
+  settings.rules = [
+    ...settings.rules,
+    createUrlFilterRule(type, pattern, urlFilterRuleActionSelect.value),
+  ];
+  await commitSettings();
+  addUrlFilterRuleForm.reset();
+  urlFilterRulePatternInput.placeholder = URL_FILTER_TYPES.domain.placeholder;
+  showSnackbar("Filter rule added");
+}
+
+/**
+ * Replaces the rules with the default browser page exclusions
+ * @returns {Promise<void>}
+ */
+async function restoreDefaults() {
+  const confirmed = await customConfirm(
+    "Replace your URL filter rules with the default ones?"
+  );
+  if (!confirmed) return;
+
+  settings.rules = getDefaultUrlFilterRules();
+  await commitSettings();
+  showSnackbar("Default URL filter rules restored");
+}
+
+/**
+ * Shows whether the test URL would be copied
+ */
+function updateTestResult() {
+  if (!urlFiltersTestInput || !urlFiltersTestResult) return;
+
+  const url = urlFiltersTestInput.value.trim();
+  if (!url) {
+    urlFiltersTestResult.textContent = "";
+    return;
+  }
+
+  urlFiltersTestResult.textContent = isUrlAllowed(url, settings)
+    ? "This URL would be copied"
+    : "This URL would be left out";
+}